@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const fs = require("fs");
+const path = require("path");
+const headless = require("./headless");
+const genOptions = require("./options");
+
+const USAGE = [
+	"Usage: staruml-psql generate <model.mdj> [--out <dir> | --dry-run] [--options <prefs.json>]",
+	"       staruml-psql validate <model.mdj> [--options <prefs.json>]"
+].join("\n");
+
+const COMMANDS = ["generate", "validate"];
+
+/**
+ * Parse the command line arguments
+ * @param {Array.<string>} args
+ * @return {{command: string, model: string, out: string, options: string, dryRun: boolean}}
+ */
+function parseArgs(args) {
+	var parsed = { command: args[0], model: null, out: ".", options: null, dryRun: false };
+	for (var i = 1; i < args.length; i++) {
+		if (args[i] === "--out") {
+			parsed.out = args[++i];
+		} else if (args[i] === "--options") {
+			parsed.options = args[++i];
+		} else if (args[i] === "--dry-run") {
+			parsed.dryRun = true;
+		} else if (!parsed.model) {
+			parsed.model = args[i];
+		} else {
+			return null;
+		}
+	}
+	return COMMANDS.indexOf(parsed.command) > -1 && parsed.model && parsed.out ? parsed : null;
+}
+
+/**
+ * Return the preference values: the extension defaults overridden by the options file,
+ * whose keys are either preference ids or generator option names
+ * @param {string} file
+ * @return {Object.<string, *>}
+ */
+function readPreferences(file) {
+	var preferences = headless.defaultPreferences();
+	if (file) {
+		var values = JSON.parse(fs.readFileSync(file, "utf8"));
+		Object.keys(values).forEach(function (key) {
+			preferences[genOptions.PREFERENCES[key] || key] = values[key];
+		});
+	}
+	return preferences;
+}
+
+function main(args) {
+	var parsed = parseArgs(args);
+	if (!parsed) {
+		console.error(USAGE);
+		return 2;
+	}
+
+	var app, project;
+	try {
+		app = headless.install(readPreferences(parsed.options));
+	} catch (ex) {
+		console.error("Cannot read the options file " + parsed.options + ": " + ex.message + "\n" + USAGE);
+		return 2;
+	}
+	var options = genOptions.getGenOptions(app.preferences.get);
+	genOptions.resolveFiles(options, path.dirname(path.resolve(parsed.model)));
+	try {
+		project = headless.loadProject(parsed.model);
+	} catch (ex) {
+		console.error("Cannot read the model file " + parsed.model + ": " + ex.message + "\n" + USAGE);
+		return 2;
+	}
+
+	// the generator needs the globals, load it once they are installed
+	var validator = require("./validator");
+	var issues = validator.validate(project, options);
+	if (issues.length > 0) {
+		console.error(validator.formatIssues(issues));
+	}
+	if (issues.some(function (issue) { return issue.severity === "error"; })) {
+		return 1;
+	}
+	if (parsed.command === "validate") {
+		return 0;
+	}
+
+	if (parsed.dryRun) {
+		// the files are printed instead of written, the generation diagnostics along with them
+		var result = require("./generator").generateFiles(project, options);
+		result.diagnostics.forEach(function (diagnostic) {
+			console.error(diagnostic.severity + ": " + diagnostic.message);
+		});
+		Object.keys(result.files).forEach(function (name) {
+			console.log("==> " + name + " <==");
+			console.log(result.files[name]);
+		});
+		return result.diagnostics.some(function (diagnostic) { return diagnostic.severity === "error"; }) ? 1 : 0;
+	}
+
+	fs.mkdirSync(parsed.out, { recursive: true });
+	require("./generator").generate(project, path.resolve(parsed.out), options);
+
+	return app.errors > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
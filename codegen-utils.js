@@ -97,6 +97,55 @@ class CodeWriter {
   	}
 }
 
+/**
+* DDLScript, a set of named CodeWriter sections that are output in a fixed order
+*/
+class DDLScript {
+    /**
+     * DDLScript
+     * @constructor
+     * @param {string} indentString
+     * @param {Array.<string>} sections section names, in output order
+     */
+    constructor (indentString, sections) {
+
+        /** @member {Array.<string>} order */
+        this.order = sections;
+
+        /** @member {Object.<string, CodeWriter>} sections */
+        this.sections = {};
+        for (var i = 0; i < sections.length; i++) {
+            this.sections[sections[i]] = new CodeWriter(indentString);
+        }
+    }
+
+    /**
+     * Return the writer of a section
+     * @param {string} name
+     * @return {CodeWriter}
+     */
+    section (name) {
+        return this.sections[name];
+    };
+
+    /**
+     * Return all non empty sections, separated by an empty line
+     * @return {string}
+     */
+    getData () {
+        var self = this;
+        return this.order
+            .filter(function (name) { return self.sections[name].hasContent(); })
+            .map(function (name) { return self.sections[name].getData(); })
+            .join("\n\n");
+    };
+
+    hasContent () {
+        var self = this;
+        return this.order.some(function (name) { return self.sections[name].hasContent(); });
+    }
+}
+
 function tag (name, elem) {
 	if (!elem || typeof(elem.tags) === 'undefined') {
 		return null;
@@ -164,32 +213,273 @@ function addStringTag(name, elem, value) {
   app.factory.createModel(options);
 }
 
+function addUniqueTag(name, elem, seq, value) {
+	var options = {
+		id: "Tag",
+		parent: elem,
+		field: "tags",
+		modelInitializer: function (tag) {
+			tag.name = name;
+			tag.kind = type.Tag.TK_STRING;
+			tag.value = value;
+			tag.number = seq;
+		}
+	}
+	app.factory.createModel(options);
+}
+
+function addIndexTag(name, elem, seq, desc, value) {
+	var options = {
+		id: "Tag",
+		parent: elem,
+		field: "tags",
+		modelInitializer: function (tag) {
+			tag.name = name;
+			tag.kind = type.Tag.TK_STRING;
+			tag.value = value || "index";
+			tag.number = seq;
+			tag.checked = desc;
+		}
+	}
+	app.factory.createModel(options);
+}
+
+function addCheckTag(name, elem, expression, notValid) {
+	var options = {
+		id: "Tag",
+		parent: elem,
+		field: "tags",
+		modelInitializer: function (tag) {
+			tag.name = name;
+			tag.kind = type.Tag.TK_STRING;
+			tag.value = expression;
+			tag.checked = notValid;
+		}
+	}
+	app.factory.createModel(options);
+}
+
+/** PostgreSQL reserved key words, including the ones that can only be function or type names */
+const RESERVED_KEYWORDS = [
+	"all", "analyse", "analyze", "and", "any", "array", "as", "asc", "asymmetric", "authorization",
+	"binary", "both", "case", "cast", "check", "collate", "collation", "column", "concurrently",
+	"constraint", "create", "cross", "current_catalog", "current_date", "current_role",
+	"current_schema", "current_time", "current_timestamp", "current_user", "default", "deferrable",
+	"desc", "distinct", "do", "else", "end", "except", "false", "fetch", "for", "foreign", "freeze",
+	"from", "full", "grant", "group", "having", "ilike", "in", "initially", "inner", "intersect",
+	"into", "is", "isnull", "join", "lateral", "leading", "left", "like", "limit", "localtime",
+	"localtimestamp", "natural", "not", "notnull", "null", "offset", "on", "only", "or", "order",
+	"outer", "overlaps", "placing", "primary", "references", "returning", "right", "select",
+	"session_user", "similar", "some", "symmetric", "system_user", "table", "tablesample", "then",
+	"to", "trailing", "true", "union", "unique", "user", "using", "variadic", "verbose", "when",
+	"where", "window", "with"
+];
+
+/** PostgreSQL identifier maximum length, in bytes */
+const MAX_IDENTIFIER_LENGTH = 63;
+
+function isReservedWord(name) {
+	return RESERVED_KEYWORDS.indexOf(name.toLowerCase()) > -1;
+}
+
 function isValidIdentifier(name) {
 	if (!name)
 		return false;
-	if (name.length > 63)
+	if (Buffer.byteLength(name, "utf8") > MAX_IDENTIFIER_LENGTH)
 		return false;
 	var validName = /^[A-Z_][0-9A-Z_$]*$/i;
-	var reserved = {
-		'by':true,
-		'commit': true,
-		'insert':true,
-		'group':true,
-		'order':true,
-		'table':true,
-		'having':true,
-		'update':true,
-		'delete':true,
-		'into':true,
-		'set':true,
-		'values':true,
-		'union':true,
-		'select':true,
-		'from':true,
-		'where':true,
-		'zone':true
+	return validName.test(name) && !isReservedWord(name);
+}
+
+/** Key words written in the keyword case of the generated SQL, on top of the reserved ones */
+const SQL_KEYWORDS = RESERVED_KEYWORDS.concat([
+	"action", "add", "after", "alter", "always", "before", "begin", "by", "bypassrls", "cache",
+	"cascade", "cascaded", "character", "comment", "commit", "conflict", "connection", "copy",
+	"createdb", "createrole", "cycle", "data", "database", "deferred", "definer", "delete", "disable",
+	"drop", "each", "enable", "encoding", "enum", "execute", "exists", "expression", "first", "force",
+	"function", "functions", "generated", "hash", "identity", "if", "immediate", "immutable",
+	"implicit", "include", "increment", "index", "inherit", "inout", "insert", "instead", "invoker",
+	"key", "language", "last", "lc_collate", "lc_ctype", "level", "list", "local", "login", "match",
+	"materialized", "maxvalue", "minvalue", "modulus", "no", "nobypassrls", "nocreatedb",
+	"nocreaterole", "noinherit", "nologin", "noreplication", "nothing", "nulls", "of", "option",
+	"out", "overriding", "owned", "owner", "partial", "partition", "permissive", "policy",
+	"privileges", "procedure", "procedures", "range", "remainder", "replace", "replication",
+	"restart", "restrict", "restrictive", "returns", "revoke", "role", "row", "schema", "security",
+	"sequence", "sequences", "set", "setof", "simple", "stable", "start", "statement", "stored",
+	"system", "tables", "tablespace", "trigger", "truncate", "type", "until", "update", "usage",
+	"valid", "value", "values", "varying", "view", "volatile"
+]);
+
+/**
+ * Apply a naming strategy to a model name, its spaces being replaced with underscores
+ * @param {string} name
+ * @param {string} strategy as-is, snake_case, lower or upper
+ * @return {string}
+ */
+function applyNamingStrategy(name, strategy) {
+	name = replaceAll(name || "", " ", "_");
+	switch (strategy) {
+		case "snake_case":
+			return name
+				.replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+				.replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+				.replace(/-/g, "_")
+				.toLowerCase();
+		case "lower":
+			return name.toLowerCase();
+		case "upper":
+			return name.toUpperCase();
+		default:
+			return name;
+	}
+}
+
+/**
+ * Quote an identifier according to the quoting policy
+ * @param {string} name
+ * @param {string} policy always, required (when the name would not be read as is) or never
+ * @return {string}
+ */
+function quoteIdentifier(name, policy) {
+	var required = !/^[a-z_][a-z0-9_$]*$/.test(name) || isReservedWord(name);
+	if (policy === "never" || (policy !== "always" && !required)) {
+		return name;
+	}
+	return '"' + replaceAll(name, '"', '""') + '"';
+}
+
+/**
+ * Write the SQL key words of a script in the given case, leaving the strings,
+ * quoted identifiers, comments and dollar quoted bodies untouched. The scripts
+ * are generated in upper case; lowering the unquoted words is safe as PostgreSQL
+ * folds the unquoted identifiers to lower case anyway.
+ * @param {string} sql
+ * @param {string} keywordCase upper or lower
+ * @return {string}
+ */
+function applyKeywordCase(sql, keywordCase) {
+	if (keywordCase !== "lower") {
+		return sql;
+	}
+	// the COPY data lines, up to the \. line, are left as they are too
+	var token = /'(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\/\*[\s\S]*?\*\/|\$([A-Za-z_]*)\$[\s\S]*?\$\1\$|stdin;\n[\s\S]*?\n\\\.(?=\n|$)|[A-Za-z_][A-Za-z0-9_$]*/g;
+	return sql.replace(token, function (text) {
+		if (!/^[A-Za-z_]/.test(text) || SQL_KEYWORDS.indexOf(text.toLowerCase()) == -1) {
+			return text;
+		}
+		return text.toLowerCase();
+	});
+}
+
+/**
+ * Return a SQL script as HTML, its comments, strings, numbers, key words and psql
+ * meta-commands being wrapped in `<span class="sql-<kind>">` elements
+ * @param {string} sql
+ * @return {string}
+ */
+function highlightSQL(sql) {
+	var token = /--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|"(?:[^"]|"")*"|\$[A-Za-z_]*\$|stdin;\n[\s\S]*?\n\\\.(?=\n|$)|^\\[^\n]*|[A-Za-z_][A-Za-z0-9_$]*|\d+(?:\.\d+)?/gm;
+	var escape = function (text) {
+		return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+	};
+	var span = function (kind, text) {
+		return '<span class="sql-' + kind + '">' + escape(text) + "</span>";
 	};
-	return validName.test(name) && !reserved[name.toLowerCase()];
+	var html = "",
+		last = 0,
+		match;
+	while ((match = token.exec(sql))) {
+		var text = match[0];
+		html += escape(sql.substring(last, match.index));
+		last = token.lastIndex;
+		if (/^(--|\/\*)/.test(text)) {
+			html += span("comment", text);
+		} else if (/^['$]/.test(text)) {
+			// the dollar quotes alone, their bodies being highlighted as SQL
+			html += span("string", text);
+		} else if (text.charAt(0) === "\\") {
+			html += span("meta", text);
+		} else if (/^\d/.test(text)) {
+			html += span("number", text);
+		} else if (/^[A-Za-z_][A-Za-z0-9_$]*$/.test(text) && SQL_KEYWORDS.indexOf(text.toLowerCase()) > -1) {
+			html += span("keyword", text);
+		} else {
+			html += escape(text);
+		}
+	}
+	return html + escape(sql.substring(last));
+}
+
+/** Unreserved words of SQL expressions, on top of the key words */
+const EXPRESSION_WORDS = [
+	"at", "between", "current_time", "escape", "exists", "ilike", "interval", "is", "isnull", "like",
+	"localtime", "notnull", "precision", "similar", "time", "unknown", "without", "zone"
+];
+
+/**
+ * Return the column names an SQL expression refers to: its quoted identifiers and the unquoted
+ * words, the key words, function names, type names and qualified names excepted
+ * @param {string} expression
+ * @return {Array.<{name: string, quoted: boolean}>}
+ */
+function expressionColumns(expression) {
+	var token = /'(?:[^']|'')*'|"(?:[^"]|"")*"|\$([A-Za-z_]*)\$[\s\S]*?\$\1\$|::|\.|[A-Za-z_][A-Za-z0-9_$]*/g;
+	var columns = [],
+		previous = null,
+		match;
+	while ((match = token.exec(expression))) {
+		var text = match[0];
+		var next = expression.substring(token.lastIndex).trim().charAt(0);
+		// function calls, typed literals, casts and qualified names
+		var isName = previous !== "::" && previous !== "." && next !== "(" && next !== "'" && next !== ".";
+		if (isName && text.charAt(0) === '"') {
+			columns.push({ name: replaceAll(text.slice(1, -1), '""', '"'), quoted: true });
+		} else if (isName && /^[A-Za-z_]/.test(text)) {
+			var word = text.toLowerCase();
+			if (SQL_KEYWORDS.indexOf(word) == -1 && EXPRESSION_WORDS.indexOf(word) == -1) {
+				columns.push({ name: word, quoted: false });
+			}
+		}
+		previous = text;
+	}
+	return columns;
+}
+
+/**
+ * Shorten an identifier to the maximum length, the end being replaced with a hash of the
+ * full name so that the shortened names stay distinct
+ * @param {string} name
+ * @param {number} maxLength bytes, MAX_IDENTIFIER_LENGTH by default
+ * @return {string}
+ */
+function shortenIdentifier(name, maxLength) {
+	maxLength = maxLength || MAX_IDENTIFIER_LENGTH;
+	if (Buffer.byteLength(name, "utf8") <= maxLength) {
+		return name;
+	}
+	// FNV-1a
+	var hash = 0x811c9dc5;
+	for (var i = 0; i < name.length; i++) {
+		hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193) >>> 0;
+	}
+	var suffix = "_" + hash.toString(16).padStart(8, "0");
+	var prefix = name;
+	while (Buffer.byteLength(prefix + suffix, "utf8") > maxLength) {
+		prefix = prefix.slice(0, -1);
+	}
+	return prefix + suffix;
+}
+
+/**
+ * Return the identity clause of a column declaration
+ * @param {{generation: string, start: string, increment: string}} identity
+ * @return {string}
+ */
+function identityClause(identity) {
+	var sequence = [];
+	identity.start && sequence.push("START WITH " + identity.start);
+	identity.increment && sequence.push("INCREMENT BY " + identity.increment);
+	return "GENERATED " + identity.generation + " AS IDENTITY" + (sequence.length > 0 ? " (" + sequence.join(" ") + ")" : "");
 }
 
 function replaceAll(str, search, replacement) {
@@ -216,19 +506,70 @@ function enumAsList(enumStr) {
 		if (i > 0) {
 			enumDecl += ", ";
 		}
-		enumDecl += "'" + list[i].trim() + "'";
+		enumDecl += "'" + list[i].trim().replace(/'/g, "''") + "'";
 	}
 
 	return enumDecl;
 }
 
+/**
+ * Sort nodes so that every node comes after the nodes it depends on
+ * @param {Array} nodes
+ * @param {function(*): Array} dependencies returns the nodes a node depends on
+ * @return {{order: Array, cycles: Array.<Array>}} sorted nodes and the detected cycles, as paths
+ */
+function topologicalSort(nodes, dependencies) {
+	var order = [],
+		cycles = [],
+		path = [],
+		state = new Map();
+
+	function visit(node) {
+		var s = state.get(node);
+		if (s === "done") {
+			return;
+		}
+		if (s === "visiting") {
+			cycles.push(path.slice(path.indexOf(node)).concat([node]));
+			return;
+		}
+		state.set(node, "visiting");
+		path.push(node);
+		dependencies(node).forEach(function (dep) {
+			if (dep !== node && nodes.indexOf(dep) > -1) {
+				visit(dep);
+			}
+		});
+		path.pop();
+		state.set(node, "done");
+		order.push(node);
+	}
+	nodes.forEach(visit);
+
+	return { order: order, cycles: cycles };
+}
+
 exports.CodeWriter = CodeWriter;
+exports.DDLScript = DDLScript;
 exports.tag = tag;
 exports.stringTag = stringTag;
 exports.tagByValue = tagByValue;
 exports.tagsByValue = tagsByValue;
 exports.addStringTag = addStringTag;
+exports.addIndexTag = addIndexTag;
+exports.addCheckTag = addCheckTag;
+exports.addUniqueTag = addUniqueTag;
 exports.asComment = asComment;
 exports.isValidIdentifier = isValidIdentifier;
+exports.isReservedWord = isReservedWord;
+exports.MAX_IDENTIFIER_LENGTH = MAX_IDENTIFIER_LENGTH;
 exports.replaceAll = replaceAll;
+exports.shortenIdentifier = shortenIdentifier;
+exports.applyNamingStrategy = applyNamingStrategy;
+exports.quoteIdentifier = quoteIdentifier;
+exports.applyKeywordCase = applyKeywordCase;
+exports.highlightSQL = highlightSQL;
+exports.expressionColumns = expressionColumns;
+exports.identityClause = identityClause;
 exports.enumAsList = enumAsList;
+exports.topologicalSort = topologicalSort;
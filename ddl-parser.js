@@ -0,0 +1,922 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/** Keywords ending a column data type or a default expression */
+const COLUMN_CONSTRAINT_WORDS = [
+	"not",
+	"null",
+	"default",
+	"primary",
+	"unique",
+	"references",
+	"constraint",
+	"check",
+	"collate",
+	"generated"
+];
+
+/** Type names written by pg_dump for the aliases a hand written DDL may use */
+const TYPE_ALIASES = {
+	"character varying": "varchar",
+	character: "char",
+	int: "integer",
+	int4: "integer",
+	int2: "smallint",
+	int8: "bigint",
+	serial4: "serial",
+	serial2: "smallserial",
+	serial8: "bigserial",
+	bool: "boolean",
+	float4: "real",
+	float8: "double precision",
+	decimal: "numeric",
+	timestamptz: "timestamp with time zone",
+	timestamp: "timestamp without time zone",
+	timetz: "time with time zone",
+	time: "time without time zone"
+};
+
+/**
+ * Split a SQL text into tokens, skipping comments
+ * @param {string} sql
+ * @return {Array.<{type: string, value: string, start: number, end: number}>}
+ */
+function tokenize(sql) {
+	var tokens = [];
+	var i = 0,
+		len = sql.length;
+	var push = function (type, value, start) {
+		tokens.push({ type: type, value: value, start: start, end: i });
+	};
+	while (i < len) {
+		var c = sql[i],
+			start = i;
+		if (/\s/.test(c)) {
+			i++;
+		} else if (c === "-" && sql[i + 1] === "-") {
+			while (i < len && sql[i] !== "\n") i++;
+		} else if (c === "/" && sql[i + 1] === "*") {
+			var close = sql.indexOf("*/", i + 2);
+			i = close == -1 ? len : close + 2;
+		} else if (c === "'" || ((c === "E" || c === "e") && sql[i + 1] === "'")) {
+			var escaped = c !== "'";
+			i += escaped ? 2 : 1;
+			var value = "";
+			while (i < len) {
+				if (escaped && sql[i] === "\\") {
+					value += sql[i + 1];
+					i += 2;
+				} else if (sql[i] === "'" && sql[i + 1] === "'") {
+					value += "'";
+					i += 2;
+				} else if (sql[i] === "'") {
+					i++;
+					break;
+				} else {
+					value += sql[i++];
+				}
+			}
+			push("string", value, start);
+		} else if (c === '"') {
+			var end = i + 1,
+				ident = "";
+			while (end < len) {
+				if (sql[end] === '"' && sql[end + 1] === '"') {
+					ident += '"';
+					end += 2;
+				} else if (sql[end] === '"') {
+					break;
+				} else {
+					ident += sql[end++];
+				}
+			}
+			i = end + 1;
+			push("ident", ident, start);
+		} else if (c === "$" && /^\$[A-Za-z_]*\$/.test(sql.substring(i))) {
+			var tag = /^\$[A-Za-z_]*\$/.exec(sql.substring(i))[0];
+			var bodyEnd = sql.indexOf(tag, i + tag.length);
+			i = bodyEnd == -1 ? len : bodyEnd + tag.length;
+			push("dollar", sql.substring(start + tag.length, bodyEnd == -1 ? len : bodyEnd), start);
+		} else if (/[A-Za-z_]/.test(c)) {
+			while (i < len && /[A-Za-z0-9_$]/.test(sql[i])) i++;
+			push("word", sql.substring(start, i).toLowerCase(), start);
+		} else if (/[0-9]/.test(c)) {
+			while (i < len && /[0-9.]/.test(sql[i])) i++;
+			push("number", sql.substring(start, i), start);
+		} else if (c === ":" && sql[i + 1] === ":") {
+			i += 2;
+			push("symbol", "::", start);
+		} else {
+			i++;
+			push("symbol", c, start);
+		}
+	}
+	return tokens;
+}
+
+/**
+ * Token stream of a single statement
+ */
+class Statement {
+	/**
+	 * Statement
+	 * @constructor
+	 * @param {string} sql source text
+	 * @param {Array.<Object>} tokens
+	 */
+	constructor(sql, tokens) {
+		this.sql = sql;
+		this.tokens = tokens;
+		this.pos = 0;
+	}
+
+	peek(offset) {
+		return this.tokens[this.pos + (offset || 0)];
+	}
+
+	next() {
+		return this.tokens[this.pos++];
+	}
+
+	atEnd() {
+		return this.pos >= this.tokens.length;
+	}
+
+	/**
+	 * Return true if the next token is the given word or symbol
+	 * @param {string} value
+	 * @param {number} offset
+	 */
+	is(value, offset) {
+		var t = this.peek(offset);
+		return !!t && (t.type === "word" || t.type === "symbol") && t.value === value;
+	}
+
+	/**
+	 * Consume the given sequence of words or symbols if next
+	 * @return {boolean}
+	 */
+	accept() {
+		for (var i = 0; i < arguments.length; i++) {
+			if (!this.is(arguments[i], i)) {
+				return false;
+			}
+		}
+		this.pos += arguments.length;
+		return true;
+	}
+
+	/**
+	 * Read an identifier, unquoted ones being folded to lower case
+	 * @return {string}
+	 */
+	identifier() {
+		var t = this.next();
+		if (!t || (t.type !== "word" && t.type !== "ident")) {
+			throw new Error("identifier expected" + (t ? " at " + this.sql.substring(t.start, t.start + 30) : ""));
+		}
+		return t.value;
+	}
+
+	/**
+	 * Read a schema qualified name
+	 * @return {{schema: string, name: string}}
+	 */
+	qualifiedName() {
+		var parts = [this.identifier()];
+		while (this.accept(".")) {
+			parts.push(this.identifier());
+		}
+		return {
+			schema: parts.length > 1 ? parts[parts.length - 2] : "public",
+			name: parts[parts.length - 1]
+		};
+	}
+
+	/**
+	 * Skip a parenthesized group, if next
+	 */
+	skipGroup() {
+		if (!this.is("(")) {
+			return;
+		}
+		var depth = 0;
+		do {
+			var t = this.next();
+			if (t.type === "symbol" && t.value === "(") depth++;
+			if (t.type === "symbol" && t.value === ")") depth--;
+		} while (depth > 0 && !this.atEnd());
+	}
+
+	/**
+	 * Read tokens up to, excluding, a comma or closing parenthesis at the current depth or one of the stop words
+	 * @param {Array.<string>} stopWords
+	 * @return {string} source text of the read tokens
+	 */
+	textUntil(stopWords) {
+		var first = this.peek(),
+			last = null,
+			depth = 0;
+		while (!this.atEnd()) {
+			var t = this.peek();
+			if (t.type === "symbol" && depth == 0 && (t.value === "," || t.value === ")")) break;
+			if (t.type === "word" && depth == 0 && stopWords.indexOf(t.value) > -1) break;
+			if (t.type === "symbol" && t.value === "(") depth++;
+			if (t.type === "symbol" && t.value === ")") depth--;
+			last = this.next();
+		}
+		return last ? this.sql.substring(first.start, last.end) : "";
+	}
+
+	/**
+	 * Read a parenthesized list of column names
+	 * @return {Array.<string>}
+	 */
+	columnList() {
+		var cols = [];
+		if (!this.accept("(")) {
+			return cols;
+		}
+		do {
+			cols.push(this.identifier());
+		} while (this.accept(","));
+		this.accept(")");
+		return cols;
+	}
+}
+
+/**
+ * Return the canonical name of a PostgreSQL type
+ * @param {string} typeName
+ * @return {string}
+ */
+function normalizeType(typeName) {
+	var name = typeName.toLowerCase().replace(/\s+/g, " ").trim();
+	return TYPE_ALIASES[name] || name;
+}
+
+/**
+ * Parse a column data type
+ * @param {Statement} st
+ * @return {{name: string, schema: string, length: string, array: boolean}}
+ */
+function parseType(st) {
+	var parts = [st.identifier()];
+	while (st.accept(".")) {
+		parts.push(st.identifier());
+	}
+	var words = [parts[parts.length - 1]];
+	var readWords = function () {
+		while (st.peek() && st.peek().type === "word" && COLUMN_CONSTRAINT_WORDS.indexOf(st.peek().value) == -1) {
+			words.push(st.next().value);
+		}
+	};
+	readWords();
+	var length = "";
+	if (st.accept("(")) {
+		while (!st.atEnd() && !st.is(")")) {
+			length += st.next().value;
+		}
+		st.accept(")");
+		// time zone qualifiers follow the precision
+		readWords();
+	}
+	var array = false;
+	while (st.accept("[", "]")) {
+		array = true;
+	}
+	return {
+		name: parts.length > 1 ? words.join(" ") : normalizeType(words.join(" ")),
+		schema: parts.length > 1 ? parts[parts.length - 2] : null,
+		length: length,
+		array: array
+	};
+}
+
+/**
+ * Read the options following the referenced columns of a foreign key into the constraint
+ * @param {Statement} st
+ * @param {Object} ctr foreign key constraint
+ * @return {Object} the constraint
+ */
+function parseReferenceOptions(st, ctr) {
+	var actions = [["cascade"], ["restrict"], ["no", "action"], ["set", "null"], ["set", "default"]];
+	var readAction = function () {
+		var action = actions.find(function (words) { return st.accept.apply(st, words); });
+		return action ? action.join(" ") : null;
+	};
+	for (;;) {
+		if (st.accept("match")) {
+			ctr.match = st.next().value;
+		} else if (st.accept("on", "delete")) {
+			ctr.onDelete = readAction();
+		} else if (st.accept("on", "update")) {
+			ctr.onUpdate = readAction();
+		} else if (st.accept("not", "deferrable") || st.accept("initially", "immediate")) {
+			continue;
+		} else if (st.accept("deferrable")) {
+			ctr.deferrable = true;
+		} else if (st.accept("initially", "deferred")) {
+			ctr.initiallyDeferred = true;
+		} else {
+			return ctr;
+		}
+	}
+}
+
+function parseTableConstraint(st, name) {
+	if (st.accept("primary", "key")) {
+		return { kind: "primary", name: name, columns: st.columnList() };
+	}
+	if (st.accept("unique")) {
+		var nullsNotDistinct = st.accept("nulls", "not", "distinct");
+		st.accept("nulls", "distinct");
+		var ctr = { kind: "unique", name: name, columns: st.columnList(), nullsNotDistinct: nullsNotDistinct };
+		st.accept("not", "deferrable");
+		ctr.deferrable = st.accept("deferrable");
+		ctr.initiallyDeferred = st.accept("initially", "deferred");
+		st.accept("initially", "immediate");
+		return ctr;
+	}
+	if (st.accept("foreign", "key")) {
+		var columns = st.columnList();
+		st.accept("references");
+		var target = st.qualifiedName();
+		return parseReferenceOptions(st, {
+			kind: "foreign",
+			name: name,
+			columns: columns,
+			target: target,
+			targetColumns: st.columnList()
+		});
+	}
+	if (st.accept("check")) {
+		return parseCheck(st, name);
+	}
+	return null;
+}
+
+/**
+ * Parse the expression of a check constraint, once the CHECK key word is read
+ * @param {Statement} st
+ * @param {string} name constraint name, null if not named
+ * @return {Object}
+ */
+function parseCheck(st, name) {
+	var ctr = { kind: "check", name: name, expression: "", notValid: false };
+	if (st.accept("(")) {
+		ctr.expression = st.textUntil([]);
+		st.accept(")");
+	}
+	st.accept("no", "inherit");
+	ctr.notValid = st.accept("not", "valid");
+	return ctr;
+}
+
+/**
+ * Parse the generation clause of a column, once the GENERATED key word is read: an identity,
+ * with the start and increment of its sequence, or a stored generation expression
+ * @param {Statement} st
+ * @param {Object} col
+ */
+function parseGenerated(st, col) {
+	var generation = st.accept("always") ? "always" : st.accept("by", "default") ? "by default" : null;
+	st.accept("as");
+	if (st.accept("identity")) {
+		col.identity = { generation: generation, start: null, increment: null };
+		if (!st.accept("(")) {
+			return;
+		}
+		var number = function () {
+			var sign = st.accept("-") ? "-" : "";
+			return sign + st.next().value;
+		};
+		// the other sequence options are left to their default
+		while (!st.atEnd() && !st.accept(")")) {
+			if (st.accept("start")) {
+				st.accept("with");
+				col.identity.start = number();
+			} else if (st.accept("increment")) {
+				st.accept("by");
+				col.identity.increment = number();
+			} else {
+				st.next();
+			}
+		}
+	} else if (st.accept("(")) {
+		col.generated = st.textUntil([]);
+		st.accept(")");
+		st.accept("stored");
+	}
+}
+
+function parseColumn(st, table) {
+	var col = {
+		name: st.identifier(),
+		type: parseType(st),
+		nullable: true,
+		default: null,
+		identity: null,
+		generated: null,
+		comment: null
+	};
+	while (!st.atEnd() && !st.is(",") && !st.is(")")) {
+		var constraintName = null;
+		if (st.accept("constraint")) {
+			constraintName = st.identifier();
+		}
+		if (st.accept("not", "null")) {
+			col.nullable = false;
+		} else if (st.accept("null")) {
+			col.nullable = true;
+		} else if (st.accept("default")) {
+			col.default = st.textUntil(COLUMN_CONSTRAINT_WORDS);
+		} else if (st.accept("primary", "key")) {
+			table.constraints.push({ kind: "primary", name: constraintName, columns: [col.name] });
+		} else if (st.accept("unique")) {
+			table.constraints.push({ kind: "unique", name: constraintName, columns: [col.name] });
+		} else if (st.accept("references")) {
+			var target = st.qualifiedName();
+			table.constraints.push(parseReferenceOptions(st, {
+				kind: "foreign",
+				name: constraintName,
+				columns: [col.name],
+				target: target,
+				targetColumns: st.columnList()
+			}));
+		} else if (st.accept("check")) {
+			var check = parseCheck(st, constraintName);
+			check.column = col.name;
+			table.constraints.push(check);
+		} else if (st.accept("generated")) {
+			parseGenerated(st, col);
+		} else {
+			// collate and unsupported clauses
+			st.next();
+			st.skipGroup();
+		}
+	}
+	return col;
+}
+
+/**
+ * Return the table, created if not parsed yet
+ */
+function getTable(result, qname) {
+	var key = qname.schema + "." + qname.name;
+	if (!result.tables[key]) {
+		result.tables[key] = {
+			schema: qname.schema,
+			name: qname.name,
+			comment: null,
+			columns: [],
+			constraints: [],
+			indexes: [],
+			partitionBy: null
+		};
+	}
+	return result.tables[key];
+}
+
+/**
+ * Read a partition key: `<strategy> (<column or expression>, ...)`, the expressions being parenthesized
+ * @param {Statement} st
+ * @return {{strategy: string, keys: Array.<string>}}
+ */
+function parsePartitionKey(st) {
+	var key = { strategy: st.identifier(), keys: [] };
+	st.accept("(");
+	while (!st.atEnd() && !st.accept(")")) {
+		var t = st.peek();
+		if ((t.type === "word" || t.type === "ident") && (st.is(",", 1) || st.is(")", 1))) {
+			key.keys.push(st.identifier());
+		} else {
+			var expression = st.textUntil([]);
+			key.keys.push(/^\(.*\)$/.test(expression) ? expression : "(" + expression + ")");
+		}
+		st.accept(",");
+	}
+	return key;
+}
+
+/**
+ * Read a parenthesized list of values, as written
+ * @param {Statement} st
+ * @return {Array.<string>}
+ */
+function valueList(st) {
+	var values = [];
+	if (!st.accept("(")) {
+		return values;
+	}
+	while (!st.atEnd() && !st.accept(")")) {
+		values.push(st.textUntil([]));
+		st.accept(",");
+	}
+	return values;
+}
+
+/**
+ * Read the bounds of a partition: `for values from (...) to (...)`, `for values in (...)`,
+ * `for values with (modulus <n>, remainder <n>)` or `default`
+ * @param {Statement} st
+ * @return {{kind: string, from: Array.<string>, to: Array.<string>, values: Array.<string>, modulus: string, remainder: string}}
+ */
+function parsePartitionBound(st) {
+	var bound = { kind: "default", from: [], to: [], values: [], modulus: "", remainder: "" };
+	if (st.accept("default")) {
+		return bound;
+	}
+	if (!st.accept("for", "values")) {
+		throw new Error("partition bounds expected");
+	}
+	if (st.accept("from")) {
+		bound.kind = "range";
+		bound.from = valueList(st);
+		st.accept("to");
+		bound.to = valueList(st);
+	} else if (st.accept("in")) {
+		bound.kind = "list";
+		bound.values = valueList(st);
+	} else if (st.accept("with", "(")) {
+		bound.kind = "hash";
+		while (!st.atEnd() && !st.accept(")")) {
+			var option = st.identifier();
+			bound[option] = st.next().value;
+			st.accept(",");
+		}
+	}
+	return bound;
+}
+
+function getPartition(result, qname, parent) {
+	var partition = {
+		schema: qname.schema,
+		name: qname.name,
+		parent: parent,
+		bound: null,
+		partitionBy: null,
+		tablespace: null
+	};
+	result.partitions[qname.schema + "." + qname.name] = partition;
+	return partition;
+}
+
+function parseCreateTable(st, result) {
+	st.accept("if", "not", "exists");
+	var qname = st.qualifiedName();
+	if (st.accept("partition", "of")) {
+		var partition = getPartition(result, qname, st.qualifiedName());
+		// the partition column options
+		st.skipGroup();
+		partition.bound = parsePartitionBound(st);
+		while (!st.atEnd()) {
+			if (st.accept("partition", "by")) {
+				partition.partitionBy = parsePartitionKey(st);
+			} else if (st.accept("tablespace")) {
+				partition.tablespace = st.identifier();
+			} else {
+				st.next();
+			}
+		}
+		return;
+	}
+	var table = getTable(result, qname);
+	if (!st.accept("(")) {
+		// CREATE TABLE ... AS / OF
+		return;
+	}
+	while (!st.atEnd() && !st.accept(")")) {
+		if (st.accept("constraint")) {
+			var name = st.identifier();
+			var ctr = parseTableConstraint(st, name);
+			ctr && table.constraints.push(ctr);
+		} else if (st.is("primary") || st.is("unique") || st.is("foreign") || st.is("check")) {
+			var unnamed = parseTableConstraint(st, null);
+			unnamed && table.constraints.push(unnamed);
+		} else if (st.is("like") || st.is("exclude")) {
+			st.textUntil([]);
+		} else {
+			table.columns.push(parseColumn(st, table));
+		}
+		st.textUntil([]);
+		st.accept(",");
+	}
+	if (st.accept("partition", "by")) {
+		table.partitionBy = parsePartitionKey(st);
+	}
+}
+
+function parseAlterTable(st, result) {
+	st.accept("if", "exists");
+	st.accept("only");
+	var table = getTable(result, st.qualifiedName());
+	do {
+		if (st.accept("add")) {
+			var name = null;
+			if (st.accept("constraint")) {
+				name = st.identifier();
+			}
+			var ctr = parseTableConstraint(st, name);
+			ctr && table.constraints.push(ctr);
+		} else if (st.accept("alter")) {
+			st.accept("column");
+			var colName = st.identifier();
+			var col = table.columns.find(function (c) { return c.name === colName; });
+			if (col && st.accept("set", "default")) {
+				col.default = st.textUntil([]);
+			} else if (col && st.accept("set", "not", "null")) {
+				col.nullable = false;
+			} else if (col && st.accept("add", "generated")) {
+				parseGenerated(st, col);
+			}
+		} else if (st.accept("attach", "partition")) {
+			// pg_dump creates the partitions as tables, attached afterwards
+			var partition = getPartition(result, st.qualifiedName(), { schema: table.schema, name: table.name });
+			partition.bound = parsePartitionBound(st);
+		}
+		st.textUntil([]);
+	} while (st.accept(","));
+}
+
+/**
+ * Read a possibly negative number
+ * @param {Statement} st
+ * @return {string}
+ */
+function signedNumber(st) {
+	var sign = st.accept("-") ? "-" : "";
+	var t = st.next();
+	if (!t || t.type !== "number") {
+		throw new Error("number expected" + (t ? " at " + st.sql.substring(t.start, t.start + 30) : ""));
+	}
+	return sign + t.value;
+}
+
+/**
+ * Read the options of a `CREATE SEQUENCE` or `ALTER SEQUENCE` statement into the sequence
+ * @param {Statement} st
+ * @param {Object} sequence
+ */
+function parseSequenceOptions(st, sequence) {
+	while (!st.atEnd()) {
+		if (st.accept("as")) {
+			sequence.type = normalizeType(st.identifier());
+		} else if (st.accept("increment")) {
+			st.accept("by");
+			sequence.increment = signedNumber(st);
+		} else if (st.accept("minvalue")) {
+			sequence.minValue = signedNumber(st);
+		} else if (st.accept("maxvalue")) {
+			sequence.maxValue = signedNumber(st);
+		} else if (st.accept("start")) {
+			st.accept("with");
+			sequence.start = signedNumber(st);
+		} else if (st.accept("cache")) {
+			sequence.cache = signedNumber(st);
+		} else if (st.accept("cycle")) {
+			sequence.cycle = true;
+		} else if (st.accept("no", "cycle")) {
+			sequence.cycle = false;
+		} else if (st.accept("no", "minvalue")) {
+			sequence.minValue = null;
+		} else if (st.accept("no", "maxvalue")) {
+			sequence.maxValue = null;
+		} else if (st.accept("owned", "by", "none")) {
+			sequence.ownedBy = null;
+		} else if (st.accept("owned", "by")) {
+			var parts = [st.identifier()];
+			while (st.accept(".")) {
+				parts.push(st.identifier());
+			}
+			sequence.ownedBy = {
+				schema: parts.length > 2 ? parts[parts.length - 3] : "public",
+				table: parts[parts.length - 2],
+				column: parts[parts.length - 1]
+			};
+		} else {
+			// restart, sequence name...
+			st.next();
+		}
+	}
+}
+
+function parseCreateSequence(st, result) {
+	st.accept("if", "not", "exists");
+	var qname = st.qualifiedName();
+	var sequence = {
+		schema: qname.schema,
+		name: qname.name,
+		type: null,
+		increment: null,
+		minValue: null,
+		maxValue: null,
+		start: null,
+		cache: null,
+		cycle: false,
+		ownedBy: null
+	};
+	parseSequenceOptions(st, sequence);
+	result.sequences[qname.schema + "." + qname.name] = sequence;
+}
+
+function parseAlterSequence(st, result) {
+	st.accept("if", "exists");
+	var qname = st.qualifiedName();
+	var sequence = result.sequences[qname.schema + "." + qname.name];
+	if (sequence) {
+		parseSequenceOptions(st, sequence);
+	}
+}
+
+/**
+ * Return the sequence a `nextval('<name>'::regclass)` column default takes its values from
+ * @param {string} defaultValue
+ * @return {{schema: string, name: string}} null for the other defaults
+ */
+function nextvalSequence(defaultValue) {
+	var match = /^nextval\s*\(\s*'((?:[^']|'')*)'(?:\s*::\s*regclass)?\s*\)$/i.exec((defaultValue || "").trim());
+	if (!match) {
+		return null;
+	}
+	var text = match[1].replace(/''/g, "'");
+	try {
+		return new Statement(text, tokenize(text)).qualifiedName();
+	} catch (ex) {
+		return null;
+	}
+}
+
+function parseCreateIndex(st, result, unique) {
+	var concurrently = st.accept("concurrently");
+	st.accept("if", "not", "exists");
+	var name = null;
+	if (!st.is("on")) {
+		name = st.identifier();
+	}
+	st.accept("on");
+	st.accept("only");
+	var table = getTable(result, st.qualifiedName());
+	var index = {
+		name: name,
+		unique: unique,
+		concurrently: concurrently,
+		method: null,
+		keys: [],
+		columns: [],
+		include: [],
+		where: null,
+		expression: false,
+		partial: false
+	};
+	if (st.accept("using")) {
+		index.method = st.identifier();
+	}
+	st.accept("(");
+	do {
+		var t = st.peek();
+		var key = null;
+		if ((t.type === "word" || t.type === "ident") && !st.is("(", 1)) {
+			var column = { name: st.identifier(), desc: false, opclass: null, nulls: null };
+			var rest = st.textUntil([]);
+			var options = rest.toLowerCase().split(/\s+/).filter(function (w) { return !!w; });
+			column.desc = options.indexOf("desc") > -1;
+			var nulls = options.indexOf("nulls");
+			column.nulls = nulls > -1 ? options[nulls + 1] : null;
+			column.opclass = /^[a-z_][a-z0-9_$]*$/.test(options[0] || "") && ["asc", "desc", "nulls", "collate"].indexOf(options[0]) == -1 ? options[0] : null;
+			index.columns.push(column);
+			key = t.type === "ident" ? '"' + column.name + '"' : column.name;
+			key += rest ? " " + rest : "";
+		} else {
+			index.expression = true;
+			key = st.textUntil([]);
+		}
+		index.keys.push(key);
+	} while (st.accept(","));
+	st.accept(")");
+	if (st.accept("include")) {
+		index.include = st.columnList();
+	}
+	while (!st.atEnd() && !st.is("where")) {
+		st.next();
+	}
+	if (st.accept("where")) {
+		index.where = st.textUntil([]);
+		index.partial = true;
+	}
+	table.indexes.push(index);
+}
+
+function parseComment(st, result) {
+	var target = st.next().value;
+	var parts = [st.identifier()];
+	while (st.accept(".")) {
+		parts.push(st.identifier());
+	}
+	st.accept("is");
+	var t = st.next();
+	var comment = t && t.type === "string" ? t.value : null;
+	if (target === "schema") {
+		result.schemas[parts[0]] = result.schemas[parts[0]] || {};
+		result.schemas[parts[0]].comment = comment;
+	} else if (target === "table") {
+		getTable(result, { schema: parts.length > 1 ? parts[0] : "public", name: parts[parts.length - 1] }).comment = comment;
+	} else if (target === "column") {
+		var table = getTable(result, {
+			schema: parts.length > 2 ? parts[parts.length - 3] : "public",
+			name: parts[parts.length - 2]
+		});
+		var col = table.columns.find(function (c) { return c.name === parts[parts.length - 1]; });
+		if (col) {
+			col.comment = comment;
+		}
+	}
+}
+
+/**
+ * Parse a schema only pg_dump or a plain DDL script
+ * @param {string} sql
+ * @return {{schemas: Object, enums: Object, sequences: Object, tables: Object, partitions: Object, warnings: Array.<string>}}
+ */
+function parse(sql) {
+	var result = { schemas: {}, enums: {}, sequences: {}, tables: {}, partitions: {}, warnings: [] };
+	var tokens = tokenize(sql);
+	var statements = [],
+		current = [];
+	tokens.forEach(function (t) {
+		if (t.type === "symbol" && t.value === ";") {
+			current.length && statements.push(current);
+			current = [];
+		} else {
+			current.push(t);
+		}
+	});
+	current.length && statements.push(current);
+
+	statements.forEach(function (tokens) {
+		var st = new Statement(sql, tokens);
+		try {
+			if (st.accept("create", "schema")) {
+				st.accept("if", "not", "exists");
+				var schema = st.identifier();
+				result.schemas[schema] = result.schemas[schema] || {};
+			} else if (st.accept("create", "type")) {
+				var typeName = st.qualifiedName();
+				if (st.accept("as", "enum", "(")) {
+					var values = [];
+					while (st.peek() && st.peek().type === "string") {
+						values.push(st.next().value);
+						st.accept(",");
+					}
+					result.enums[typeName.schema + "." + typeName.name] = values;
+				}
+			} else if (
+				st.accept("create", "table") ||
+				st.accept("create", "unlogged", "table") ||
+				st.accept("create", "temporary", "table")
+			) {
+				parseCreateTable(st, result);
+			} else if (st.accept("create", "sequence")) {
+				parseCreateSequence(st, result);
+			} else if (st.accept("alter", "sequence")) {
+				parseAlterSequence(st, result);
+			} else if (st.accept("alter", "table")) {
+				parseAlterTable(st, result);
+			} else if (st.accept("create", "unique", "index")) {
+				parseCreateIndex(st, result, true);
+			} else if (st.accept("create", "index")) {
+				parseCreateIndex(st, result, false);
+			} else if (st.accept("comment", "on")) {
+				parseComment(st, result);
+			}
+		} catch (ex) {
+			result.warnings.push("Statement skipped, " + ex.message + ": " + sql.substring(tokens[0].start, tokens[0].start + 60));
+		}
+	});
+	return result;
+}
+
+exports.tokenize = tokenize;
+exports.normalizeType = normalizeType;
+exports.nextvalSequence = nextvalSequence;
+exports.parse = parse;
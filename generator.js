@@ -22,7 +22,118 @@
  */
 
 const fs = require("fs");
+const path = require("path");
 const codegen = require("./codegen-utils");
+const migration = require("./migration");
+const typeMapping = require("./type-mapping");
+const seedData = require("./seed-data");
+
+/** Sections of a creation script, in deployment order */
+const CREATE_SECTIONS = [
+	"schemas",
+	"types",
+	"sequences",
+	"functions",
+	"procedures",
+	"tables",
+	"indexes",
+	"constraints",
+	"comments",
+	"triggers",
+	"inserts",
+	"views",
+	"security"
+];
+
+/** Sections of a removal script, in removal order */
+const DROP_SECTIONS = ["security", "views", "triggers", "indexes", "tables", "sequences", "types", "procedures", "functions", "schemas"];
+
+/** Errors raised when an object already exists, ignored by the idempotent creation statements */
+const EXISTING_OBJECT_ERRORS = "duplicate_object OR duplicate_table";
+
+/** Errors raised when an object or its table or schema no longer exists, ignored by the idempotent removal statements */
+const MISSING_OBJECT_ERRORS = "undefined_table OR undefined_function OR undefined_object OR invalid_schema_name";
+
+/** Identity generations of the `identity` tag values and of the auto increment option values */
+const IDENTITY_GENERATIONS = {
+	always: "ALWAYS",
+	"by default": "BY DEFAULT",
+	byDefault: "BY DEFAULT"
+};
+
+/** Pseudo types of the routine parameters and results, taken as they are */
+const PSEUDO_TYPES = [
+	"any", "anyarray", "anycompatible", "anycompatiblearray", "anyelement", "anyenum", "anynonarray",
+	"anyrange", "cstring", "event_trigger", "internal", "record", "trigger", "void"
+];
+
+/**
+ * Return the values of an enumeration, listed by a comma separated text
+ * @param {string} text
+ * @return {Array.<string>}
+ */
+function enumValues(text) {
+	return (text || "").split(",")
+		.map(function (value) { return value.trim(); })
+		.filter(function (value) { return !!value; });
+}
+
+/**
+ * Split a parenthesized, comma separated list, the commas within parentheses or quotes excepted
+ * @param {string} text starting with the opening parenthesis
+ * @return {{list: Array.<string>, rest: string}} items and text after the closing parenthesis, null if not a list
+ */
+function splitList(text) {
+	if (text.charAt(0) !== "(") {
+		return null;
+	}
+	var list = [],
+		depth = 0,
+		quote = null,
+		start = 1;
+	for (var i = 0; i < text.length; i++) {
+		var c = text.charAt(i);
+		if (quote) {
+			quote = c === quote ? null : quote;
+		} else if (c === "'" || c === '"') {
+			quote = c;
+		} else if (c === "(") {
+			depth++;
+		} else if (c === ")" && --depth == 0) {
+			list.push(text.substring(start, i).trim());
+			return { list: list.filter(function (item) { return !!item; }), rest: text.substring(i + 1) };
+		} else if (c === "," && depth == 1) {
+			list.push(text.substring(start, i).trim());
+			start = i + 1;
+		}
+	}
+	return null;
+}
+
+/**
+ * Parse a routine parameter, or a column of the table a function returns:
+ * `[in | out | inout | variadic] [<name>] <type> [default <expression>]`
+ * @param {string} text
+ * @return {{mode: string, name: string, type: string, default: string}}
+ */
+function parseParameter(text) {
+	var parameter = { mode: "", name: "", type: "", default: "" };
+	var mode = /^(in|out|inout|variadic)\s+/i.exec(text);
+	if (mode) {
+		parameter.mode = mode[1].toLowerCase();
+		text = text.substring(mode[0].length);
+	}
+	var defaultValue = /^(.*?)(?:\s+default\s+|\s*=\s*)([\s\S]*)$/i.exec(text);
+	if (defaultValue) {
+		parameter.default = defaultValue[2].trim();
+		text = defaultValue[1];
+	}
+	// a single word is the type of an unnamed parameter
+	var named = /^("(?:[^"]|"")+"|[A-Za-z_][A-Za-z0-9_$]*)\s+([^\s(\[][\s\S]*)$/.exec(text.trim());
+	parameter.name = named ? named[1] : "";
+	parameter.type = (named ? named[2] : text).trim();
+	return parameter;
+}
 
 class DDLGenerator {
 	/**
@@ -38,6 +149,29 @@ class DDLGenerator {
 
 		/** @member {string} */
 		this.basePath = basePath;
+
+		/** @member {Array.<{severity: string, message: string, elementId: string}>} warnings and errors of the generation */
+		this.diagnostics = [];
+
+		/** @member {Object.<string, string>} generated file contents, by file name */
+		this.files = {};
+
+		/** @member {type.ERDEntity} when set, the only table or view generated */
+		this.entity = null;
+	}
+
+	/**
+	 * Add a warning or an error to the generation diagnostics
+	 * @param {string} severity warning or error
+	 * @param {string} message
+	 * @param {type.Model} elem the element at fault, if any
+	 */
+	report(severity, message, elem) {
+		this.diagnostics.push({
+			severity: severity,
+			message: message,
+			elementId: (elem && elem._id) || null
+		});
 	}
 
 	/**
@@ -60,704 +194,3459 @@ class DDLGenerator {
 	}
 
 	/**
-	 * Return Foreign Keys for an Entity
-	 * @param {type.ERDEntity} elem
-	 * @return {Array.<ERDColumn>}
+	 * Add a SQL script to the generated files, in the configured key word case
+	 * @param {string} name
+	 * @param {string} data
+	 * @param {Object} options
 	 */
-	getIndexColumns(elem) {
-		var keys = [];
-		elem.columns.forEach(function (col) {
-			var idxTag = codegen.tagByValue("index", col);
-			if (idxTag) {
-				keys.push(col);
-			}
-		});
-		return keys;
+	addScript(name, data, options) {
+		this.files[name] = codegen.applyKeywordCase(data, options.keywordCase);
 	}
 
-	dataType(elem, options) {
-		var varLenFunc = function (elem, options) {
-			return elem.length.length ? "(" + elem.length + ")" : "";
-		};
-		var noLenFunc = function (elem, options) {
-			return "";
-		};
-		var typeOf = function (type, lenFunc) {
-			return function (elem, options) {
-				return type + lenFunc(elem, options);
-			};
-		};
-		var typeOfWithOverride = function (type, override, lenFunc) {
-			return function (elem, options) {
-				if (elem.length == -1) {
-					return override + lenFunc(elem, options);
-				} else {
-					return type + lenFunc(elem, options);
-				}
-			};
-		};
-
-		var map = {
-			VARCHAR: typeOf("varchar", varLenFunc),
-			BOOLEAN: typeOf("boolean", noLenFunc),
-			INTEGER: typeOfWithOverride("integer", "serial", noLenFunc),
-			CHAR: typeOf("char", varLenFunc),
-			BINARY: typeOf("bytea", noLenFunc),
-			VARBINARY: typeOf("bytea", noLenFunc),
-			BLOB: typeOf("bytea", noLenFunc),
-			TEXT: typeOf("text", noLenFunc),
-			SMALLINT: typeOfWithOverride("smallint", "smallserial", noLenFunc),
-			BIGINT: typeOfWithOverride("bigint", "bigserial", noLenFunc),
-			DECIMAL: typeOf("numeric", varLenFunc),
-			NUMERIC: typeOf("numeric", varLenFunc),
-			FLOAT: typeOf("real", noLenFunc),
-			DOUBLE: typeOf("double precision", noLenFunc),
-			BIT: typeOf("bit", varLenFunc),
-			DATE: typeOf("date", noLenFunc),
-			TIME: typeOf("time without time zone", noLenFunc),
-			DATETIME: typeOf("timestamp with time zone", noLenFunc),
-			TIMESTAMPTZ: typeOf("timestamp with time zone", noLenFunc),
-			TIMESTAMP: typeOf("timestamp without time zone", noLenFunc),
-			POINT: typeOf("point", noLenFunc),
-			POLYGON: typeOf("polygon", noLenFunc),
-			CIDR: typeOf("cidr", noLenFunc),
-			INET: typeOf("inet", noLenFunc),
-			UUID: typeOf("uuid", noLenFunc)
-		};
-		if (typeof map[elem.type] !== "undefined") {
-			return map[elem.type](elem, options);
-		} else {
-			return elem.type;
+	/**
+	 * Return the content of a generated file; in idempotent mode the file stops at the first
+	 * error and, when transactional, runs in a single transaction
+	 * @param {string} data
+	 * @param {Object} options
+	 * @param {boolean} transactional
+	 * @return {string}
+	 */
+	scriptData(data, options, transactional) {
+		if (!options.idempotent) {
+			return data;
 		}
+		var header = "\\set ON_ERROR_STOP on\n\n";
+		return transactional ? header + "BEGIN;\n\n" + data.replace(/\s*$/, "\n\n") + "COMMIT;\n" : header + data;
 	}
 
 	/**
-	 * Return DDL column string
-	 * @param {type.ERDColumn} elem
+	 * Write a statement that PostgreSQL cannot guard with IF [NOT] EXISTS; in idempotent mode it is
+	 * wrapped in a block ignoring the errors raised when its object already exists, or the given ones
+	 * @param {CodeWriter} codeWriter
 	 * @param {Object} options
-	 * @return {String}
+	 * @param {function()} write writes the statement
+	 * @param {string} errors the ignored error conditions, joined by OR
 	 */
-	columnDeclaration(columnName, elem, comments, defaultValue, options) {
-		var self = this;
-		var line = columnName;
-		var _type = self.dataType(elem, options);
-		line += " " + _type;
-		if (elem.primaryKey || !elem.nullable) {
-			line += " NOT NULL";
+	writeGuarded(codeWriter, options, write, errors) {
+		if (!options.idempotent) {
+			write();
+			return;
 		}
-		if (_type.indexOf("serial") == -1) {
-			line += defaultValue;
+		codeWriter.writeLine("DO $$");
+		codeWriter.writeLine("BEGIN");
+		codeWriter.indent();
+		write();
+		codeWriter.outdent();
+		codeWriter.writeLine("EXCEPTION WHEN " + (errors || EXISTING_OBJECT_ERRORS) + " THEN");
+		codeWriter.indent();
+		codeWriter.writeLine("NULL;");
+		codeWriter.outdent();
+		codeWriter.writeLine("END");
+		codeWriter.writeLine("$$;");
+	}
+
+	/**
+	 * Write a removal statement that PostgreSQL cannot guard with IF EXISTS, on objects that a previous
+	 * run of the drop scripts may have dropped along with their schema; in idempotent mode it is
+	 * wrapped in a block ignoring the errors raised on the missing objects
+	 * @param {CodeWriter} dropWriter
+	 * @param {Object} options
+	 * @param {string} statement
+	 */
+	writeDropGuarded(dropWriter, options, statement) {
+		this.writeGuarded(dropWriter, options, function () {
+			dropWriter.writeLine(statement);
+		}, MISSING_OBJECT_ERRORS);
+	}
+
+	/**
+	 * Return new create and drop scripts
+	 * @param {Object} options
+	 * @return {{create: DDLScript, drop: DDLScript}}
+	 */
+	newScripts(options) {
+		var indentString = this.getIndentString(options);
+		return {
+			create: new codegen.DDLScript(indentString, CREATE_SECTIONS),
+			drop: new codegen.DDLScript(indentString, DROP_SECTIONS)
+		};
+	}
+
+	/**
+	 * Return a new group of objects, generated as `<name>_create.sql` and `<name>_drop.sql`;
+	 * in single file mode all groups are the same
+	 * @param {string} name
+	 * @param {Array.<Object>} requires groups to be deployed before this one
+	 * @param {Object} options
+	 * @return {{name: string, scripts: {create: DDLScript, drop: DDLScript}, requires: Array.<Object>}}
+	 */
+	openGroup(name, requires, options) {
+		if (this.singleGroup) {
+			return this.singleGroup;
 		}
-		var documentation = elem.documentation;
-		if (!!documentation) {
-			comments.push({
-				col: columnName,
-				doc: codegen.asComment(documentation)
-			});
+		var group = {
+			name: name,
+			scripts: this.newScripts(options),
+			requires: requires.filter(function (g) { return !!g; })
+		};
+		this.groups.push(group);
+		return group;
+	}
+
+	/**
+	 * Add the group scripts to the generated files, if there is anything to create
+	 * @param {Object} group
+	 * @param {Object} options
+	 * @return {boolean}
+	 */
+	addGroup(group, options) {
+		if (!group.scripts.create.hasContent()) {
+			return false;
 		}
-		if (typeof elem.is_enum !== "undefined") {
-			elem.type = "enum";
+		this.addScript(group.name + "_create.sql", this.scriptData(group.scripts.create.getData(), options, true), options);
+		if (options.dropStatements && group.scripts.drop.hasContent()) {
+			this.addScript(group.name + "_drop.sql", this.scriptData(group.scripts.drop.getData(), options, true), options);
 		}
-		return line;
+		return true;
 	}
 
 	/**
-	 * Create indexes for Foreign Key columns
-	 * @param {StringWriter} codeWriter
-	 * @param {type.ERDEntity} elem
+	 * Return the groups holding the tables referenced by the group foreign keys
+	 * @param {Object} group
+	 * @return {Array.<Object>}
+	 */
+	referencedGroups(group) {
+		var self = this;
+		return self.references
+			.filter(function (ref) { return !ref.deferred && ref.group === group; })
+			.map(function (ref) { return self.entityGroups.get(ref.refEntity); })
+			.filter(function (g) { return !!g && g !== group; });
+	}
+
+	/**
+	 * Write the foreign key constraints and return the groups in deployment order.
+	 * The constraints between groups that depend on each other are moved to a
+	 * `references` group, deployed after all the others.
 	 * @param {Object} options
+	 * @return {Array.<Object>}
 	 */
-	writeUserIndexes(codeWriter, tableName, elem, options) {
-		var self = this,
-			idxCols = self.getIndexColumns(elem);
-
-		var idxDef = [];
-		idxCols.forEach(function (col) {
-			var idxTags = codegen.tagsByValue("index", col);
-			var colName = self.columnName(col, options);
-			idxTags.forEach(function (tag) {
-				idxDef.push({
-					column: colName,
-					idxName: tag.name,
-					seq: tag.number,
-					desc: tag.checked
+	resolveGroups(options) {
+		var self = this;
+		var dependencies = function (group) {
+			return group.requires.concat(self.referencedGroups(group));
+		};
+		var sorted = codegen.topologicalSort(self.groups, dependencies);
+		while (sorted.cycles.length > 0) {
+			sorted.cycles.forEach(function (cycle) {
+				self.report(
+					"warning",
+					"Dependency cycle between generated files: " +
+					cycle.map(function (g) { return g.name; }).join(" -> ") +
+					", the foreign keys between them are moved to references_create.sql"
+				);
+				self.references.forEach(function (ref) {
+					var refGroup = self.entityGroups.get(ref.refEntity);
+					if (refGroup !== ref.group && cycle.indexOf(ref.group) > -1 && cycle.indexOf(refGroup) > -1) {
+						ref.deferred = true;
+					}
 				});
 			});
-		});
+			sorted = codegen.topologicalSort(self.groups, dependencies);
+		}
 
-		idxDef = idxDef.reduce((acc, idx) => {
-			(acc[idx.idxName] = acc[idx.idxName] || []).push(idx);
-			return acc;
-		}, []);
-		idxDef.forEach(function (o) {
-			var cols = [];
-			// sort the index columns by seq
-			o.sort((i1, i2) => (i1.seq > i2.seq ? 1 : i1.seq < i2.seq ? -1 : 0));
-			o.forEach(function (obj) {
-				if (obj.desc) cols.push(obj.column + " DESC");
-				else cols.push(obj.column);
+		var referencesGroup = null;
+		self.references.forEach(function (ref) {
+			var group = ref.group;
+			if (ref.deferred) {
+				referencesGroup = referencesGroup || {
+					name: "references",
+					scripts: self.newScripts(options),
+					requires: []
+				};
+				group = referencesGroup;
+			}
+			var codeWriter = group.scripts.create.section("constraints");
+			self.writeGuarded(codeWriter, options, function () {
+				codeWriter.writeLine(ref.sql);
 			});
-			// generate the index
-			var idxName = o[0].idxName;
-			codeWriter.writeLine(" -- Index: " + idxName);
-			codeWriter.writeLine("CREATE INDEX ON " + tableName);
-			codeWriter.indent();
-			codeWriter.writeLine("(" + cols.join(", ") + ");");
-			codeWriter.outdent();
 		});
-		codeWriter.writeLine();
+		return referencesGroup ? sorted.order.concat([referencesGroup]) : sorted.order;
 	}
 
-	tableName(elem, options) {
-		var tag = codegen.tag("table", elem);
-		var tableName = "";
-		if (tag) {
-			tableName = tag.value;
-		}
-		if (!tableName) {
-			tableName = codegen.replaceAll(elem.name, " ", "_");
-		}
-		if (!codegen.isValidIdentifier(tableName)) {
-			app.toast.error("Table name is not valid: " + tableName + ", please edit the table tag for " + elem.name);
-			return "";
-		}
-		return `"${tableName}"`;
-	}
+	/**
+	 * Add the scripts running all the generated files in deployment order
+	 * @param {type.Project} elem
+	 * @param {Array.<Object>} groups added groups, in deployment order
+	 * @param {Object} options
+	 */
+	addDeployScripts(elem, groups, options) {
+		var codeWriter = new codegen.CodeWriter(this.getIndentString(options));
+		var dropWriter = new codegen.CodeWriter(this.getIndentString(options));
+		codeWriter.writeLine("-- Deployment script for: " + elem.name);
+		codeWriter.writeLine("-- Run from the generated files directory, once db_create.sql is deployed");
+		dropWriter.writeLine("-- Removal script for: " + elem.name);
+		groups.forEach(function (group) {
+			codeWriter.writeLine("\\i " + group.name + "_create.sql");
+		});
+		groups.slice().reverse().forEach(function (group) {
+			if (group.scripts.drop.hasContent()) {
+				dropWriter.writeLine("\\i " + group.name + "_drop.sql");
+			}
+		});
 
-	routineName(elem, options) {
-		var routineName = elem.name;
-		if (!routineName) {
-			routineName = codegen.replaceAll(routineName, " ", "_");
-			routineName = codegen.replaceAll(routineName, "-", "_");
+		this.addScript("deploy.sql", this.scriptData(codeWriter.getData(), options, false), options);
+		if (options.dropStatements) {
+			this.addScript("undeploy.sql", this.scriptData(dropWriter.getData(), options, false), options);
 		}
-		if (!codegen.isValidIdentifier(routineName)) {
-			app.toast.error("Routine name is not valid: " + routineName + ", please edit the name for " + elem.name);
-			return "";
-		}
-		return `"${routineName}"`;
 	}
 
-	columnName(elem, options) {
-		var tag = codegen.tag("column", elem);
-		var columnName = "";
-		if (tag) {
-			columnName = tag.value;
-		}
-		if (!columnName) {
-			columnName = codegen.replaceAll(elem.name, " ", "_");
-		}
-		if (!codegen.isValidIdentifier(columnName)) {
-			app.toast.error("Column name is not valid: " + columnName + ", please edit the column tag for " + elem.name);
-			return "";
+	/**
+	 * Return the options of a `unique` tag, whose value is `unique` optionally followed by
+	 * `nulls not distinct`, `deferrable` and `initially deferred`; null for other tags
+	 * @param {type.Tag} tag
+	 * @return {{nullsNotDistinct: boolean, deferrable: boolean, initiallyDeferred: boolean, unknown: string}}
+	 */
+	uniqueTagOptions(tag) {
+		var match = /^\s*unique(\s.*)?$/i.exec(tag.value || "");
+		if (!match || tag.kind !== type.Tag.TK_STRING) {
+			return null;
 		}
-		return `"${columnName}"`;
+		var rest = " " + (match[1] || "").trim().toLowerCase().split(/\s+/).join(" ") + " ";
+		var has = function (phrase) {
+			var found = rest.indexOf(" " + phrase + " ") > -1;
+			rest = rest.replace(" " + phrase + " ", " ");
+			return found;
+		};
+		var nullsNotDistinct = has("nulls not distinct");
+		var initiallyDeferred = has("initially deferred");
+		var deferrable = has("deferrable") || initiallyDeferred;
+		return {
+			nullsNotDistinct: nullsNotDistinct,
+			deferrable: deferrable,
+			initiallyDeferred: initiallyDeferred,
+			unknown: rest.trim()
+		};
 	}
 
-	columnDefault(elem, options) {
-		var tag = codegen.tag("default", elem);
-		if (!tag) {
-			return "";
-		}
+	/**
+	 * Return the columns of an Entity, followed by the foreign key columns generated for its relationships
+	 * @param {type.ERDEntity} elem
+	 * @return {Array.<type.ERDColumn>}
+	 */
+	tableColumns(elem) {
+		var extra = this.generatedColumns && this.generatedColumns.get(elem);
+		return extra ? elem.columns.concat(extra) : elem.columns;
+	}
 
-		var dbName = tag.value;
-		return " DEFAULT " + dbName;
+	/**
+	 * Return the column a column references: its model reference or, for a foreign key column
+	 * without one, the primary key column of the relationship it was linked to by
+	 * `resolveRelationships`
+	 * @param {type.ERDColumn} col
+	 * @return {type.ERDColumn} null when the column references nothing
+	 */
+	columnReference(col) {
+		return col.referenceTo || (this.linkedColumns && this.linkedColumns.get(col)) || null;
 	}
 
 	/**
-	 * Write Table
-	 * @param {StringWriter} codeWriter
+	 * Return the unique constraints of an Entity: one per column marked as unique, and one
+	 * per name of the `unique` tags, the tag number giving the column position
 	 * @param {type.ERDEntity} elem
 	 * @param {Object} options
+	 * @return {Array.<{name: string, columns: Array.<type.ERDColumn>, nullsNotDistinct: boolean, deferrable: boolean, initiallyDeferred: boolean}>}
 	 */
-	generateTable(codeWriter, dropWriter, elem, options, schemaName, prefix, refs) {
+	getUniqueConstraints(elem, options) {
 		var self = this;
-		var lines = [],
-			primaryKeys = [],
-			foreignKeys = [],
-			foreignKeyCtr = [],
-			uniques = [],
-			comments = [],
-			drop_enums = [];
-
-		var tableName = prefix + self.tableName(elem, options);
-		var table = schemaName + "." + tableName;
-
-		// create enums
-		elem.columns.forEach(function (col) {
-			var _type = self.dataType(col, options);
-			if (_type && _type.toLowerCase() === "enum") {
-				var enums = codegen.stringTag(_type, col);
-				if (enums) {
-					var column = self.columnName(col, options);
-					var typeName = table + "_" + column;
-					var enumDecl = codegen.enumAsList(enums);
-
-					codeWriter.writeLine("CREATE TYPE " + typeName + " AS ENUM(" + enumDecl + ");\n");
-					codeWriter.writeLine(
-						"CREATE CAST (CHARACTER VARYING AS " + typeName + ") WITH INOUT AS IMPLICIT;\n"
-					);
-					col.type = typeName;
-					col.is_enum = 1;
-					drop_enums.push("DROP TYPE " + typeName + " CASCADE;");
-				}
+		var constraints = [];
+		var named = {};
+		self.tableColumns(elem).forEach(function (col) {
+			if (col.unique && !col.primaryKey) {
+				constraints.push({ name: "", columns: [col], nullsNotDistinct: false, deferrable: false, initiallyDeferred: false });
 			}
 		});
-
-		// Table
-		codeWriter.writeLine("CREATE TABLE " + table + " (");
-		codeWriter.indent();
-		dropWriter.writeLine("DROP TABLE IF EXISTS " + table + " CASCADE;");
-		// drop enums
-		for (var i = 0, len = drop_enums.length; i < len; i++) {
-			dropWriter.writeLine(drop_enums[i]);
-		}
-
-		// Columns
-		elem.columns.forEach(function (col) {
-			var column = self.columnName(col, options);
-			if (column) {
-				if (col.primaryKey) {
-					primaryKeys.push(column);
-				} else if (col.unique) {
-					uniques.push(column);
-				} else if (column && col.foreignKey && !col.primaryKey) {
-					foreignKeys.push(column);
+		self.tableColumns(elem).forEach(function (col) {
+			col.tags.forEach(function (tag) {
+				var tagOptions = self.uniqueTagOptions(tag);
+				if (!tagOptions) {
+					return;
 				}
-				if (options.foreignKeyConstraint && col.referenceTo) {
-					foreignKeyCtr.push(col);
+				var ctr = named[tag.name];
+				if (!ctr) {
+					ctr = named[tag.name] = { name: tag.name, columns: [], nullsNotDistinct: false, deferrable: false, initiallyDeferred: false };
+					constraints.push(ctr);
 				}
-			}
-
-			var defaultValue = self.columnDefault(col, options);
-			column && lines.push(self.columnDeclaration(column, col, comments, defaultValue, options));
+				ctr.columns.push({ col: col, seq: tag.number });
+				// the options of any of the tags apply to the constraint
+				ctr.nullsNotDistinct = ctr.nullsNotDistinct || tagOptions.nullsNotDistinct;
+				ctr.deferrable = ctr.deferrable || tagOptions.deferrable;
+				ctr.initiallyDeferred = ctr.initiallyDeferred || tagOptions.initiallyDeferred;
+			});
 		});
+		Object.keys(named).forEach(function (name) {
+			named[name].columns = named[name].columns
+				.sort(function (c1, c2) { return c1.seq - c2.seq; })
+				.map(function (c) { return c.col; });
+		});
+		return constraints;
+	}
 
-		// Primary Keys
-		if (primaryKeys.length > 0) {
-			lines.push("PRIMARY KEY (" + primaryKeys.join(", ") + ")");
-		}
-
-		// Write lines
-		for (var i = 0, len = lines.length; i < len; i++) {
-			codeWriter.writeLine(lines[i] + (i < len - 1 ? "," : ""));
-		}
-
-		codeWriter.outdent();
-		codeWriter.writeLine(");");
-		codeWriter.writeLine();
-
-		// uniques (combined?)
-		if (uniques.length > 0) {
-			codeWriter.writeLine("ALTER TABLE " + table);
-			codeWriter.indent();
-			codeWriter.writeLine("ADD UNIQUE (" + uniques.join(", ") + ");");
-			codeWriter.outdent();
-			codeWriter.writeLine();
-		}
-
-		if (foreignKeyCtr.length > 0) {
-			for (var i = 0, len = foreignKeyCtr.length; i < len; i++) {
-				var col = foreignKeyCtr[i];
-				var colName = self.columnName(col, options);
-				var refCol = col.referenceTo;
-				var refColName = self.columnName(refCol, options);
-				var refTableObj = refCol._parent;
-				var refTableName = self.tableName(refTableObj, options);
-				if (refTableObj._parent instanceof type.ERDDiagram) {
-					var prefix = codegen.stringTag("prefix", refTableObj._parent);
-					refTableName = prefix + refTableName;
+	/**
+	 * Return the check constraints of an Entity, given by the `check` tags of the entity and of its
+	 * columns, the tag value being the expression. A `check:<name>` tag makes the constraint
+	 * `ck_<table>_<name>`, a `check` tag is named after its column, or `check` on the entity.
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, expression: string, notValid: boolean, documentation: string, owner: type.Model}>}
+	 */
+	getCheckConstraints(elem, options) {
+		var self = this;
+		var physicalTableName = self.physicalTableName(elem, options);
+		var constraints = [];
+		var collect = function (owner, defaultName) {
+			owner.tags.forEach(function (tag) {
+				var match = /^\s*check\s*(?::(.*))?$/i.exec(tag.name || "");
+				if (!match || tag.kind !== type.Tag.TK_STRING) {
+					return;
 				}
+				var name = ["ck", physicalTableName, (match[1] || "").trim() || defaultName].join("_");
+				constraints.push({
+					name: codegen.shortenIdentifier(self.physicalName(name, options)),
+					expression: (tag.value || "").trim(),
+					// only applies when the constraint is added to an existing table
+					notValid: !!tag.checked,
+					documentation: tag.documentation || "",
+					owner: owner
+				});
+			});
+		};
+		collect(elem, "check");
+		self.tableColumns(elem).forEach(function (col) {
+			collect(col, self.baseColumnName(col, options));
+		});
+		return constraints;
+	}
 
-				// Generate foreign key
-				let fkName = `FK_${tableName}__${colName}`
-				fkName = fkName.replaceAll('"', "")
-				fkName = `"${fkName}"`
-
-				var refSchemaName = self.schemaName(refTableObj._parent, options);
-				refs.push(
-					"ALTER TABLE " +
-					table +
-					" ADD CONSTRAINT " +
-					fkName +
-					" FOREIGN KEY (" +
-					colName +
-					") REFERENCES " +
-					refSchemaName +
-					"." +
-					refTableName +
-					"(" +
-					refColName +
-					");"
-				);
-			}
-		}
+	/**
+	 * Return the keys of an Entity that can be referenced by a composite foreign key:
+	 * its primary key and unique constraints having several columns
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<Array.<type.ERDColumn>>}
+	 */
+	getCompositeKeys(elem, options) {
+		var primaryKey = this.tableColumns(elem).filter(function (col) { return col.primaryKey; });
+		var keys = this.getUniqueConstraints(elem, options).map(function (ctr) { return ctr.columns; });
+		return [primaryKey].concat(keys).filter(function (key) { return key.length > 1; });
+	}
 
-		// generate simple FK indexes
-		if (foreignKeys.length > 0) {
-			for (var i = 0, len = foreignKeys.length; i < len; i++) {
-				codeWriter.writeLine("CREATE INDEX ON " + table);
-				codeWriter.indent();
-				codeWriter.writeLine("(" + foreignKeys[i] + ");");
-				codeWriter.outdent();
+	/**
+	 * Return the foreign keys of an Entity. The columns referencing together all the columns of
+	 * a composite key make a single foreign key, the other referencing columns one each.
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{refEntity: type.ERDEntity, columns: Array.<type.ERDColumn>, refColumns: Array.<type.ERDColumn>}>}
+	 */
+	getForeignKeys(elem, options) {
+		var self = this;
+		var byTarget = new Map();
+		self.tableColumns(elem).forEach(function (col) {
+			var refCol = self.columnReference(col);
+			if (refCol && refCol._parent) {
+				byTarget.set(refCol._parent, (byTarget.get(refCol._parent) || []).concat([col]));
 			}
-			codeWriter.writeLine();
-		}
+		});
 
-		self.writeUserIndexes(codeWriter, table, elem, options);
+		var foreignKeys = [];
+		byTarget.forEach(function (cols, refEntity) {
+			var remaining = cols;
+			self.getCompositeKeys(refEntity, options).forEach(function (key) {
+				for (;;) {
+					var group = key.map(function (keyCol) {
+						return remaining.find(function (col) { return self.columnReference(col) === keyCol; });
+					});
+					if (group.some(function (col) { return !col; })) {
+						break;
+					}
+					remaining = remaining.filter(function (col) { return group.indexOf(col) == -1; });
+					foreignKeys.push({ refEntity: refEntity, columns: group, refColumns: key });
+				}
+			});
+			remaining.forEach(function (col) {
+				foreignKeys.push({ refEntity: refEntity, columns: [col], refColumns: [self.columnReference(col)] });
+			});
+		});
+		// in the order of their first column
+		var position = function (fk) {
+			return Math.min.apply(null, fk.columns.map(function (col) { return self.tableColumns(elem).indexOf(col); }));
+		};
+		return foreignKeys.sort(function (fk1, fk2) { return position(fk1) - position(fk2); });
+	}
 
-		var documentation = elem.documentation;
-		if (!!documentation && !options.tableInserts) {
-			codeWriter.writeLine("COMMENT ON TABLE " + table);
-			codeWriter.indent();
-			codeWriter.writeLine("IS " + codegen.asComment(documentation) + ";");
-			codeWriter.outdent();
-		}
-		comments.forEach(function (comment) {
-			codeWriter.writeLine("COMMENT ON COLUMN " + table + "." + comment.col);
-			codeWriter.indent();
-			codeWriter.writeLine("IS " + comment.doc + ";");
-			codeWriter.outdent();
+	/**
+	 * Return the relationship a foreign key between two entities stands for, owned by one of them
+	 * or by their data models. When several relationships link the entities, the one whose end
+	 * on the referenced entity has a `1` or `0..1` cardinality is preferred.
+	 * @param {type.ERDEntity} elem referencing entity
+	 * @param {type.ERDEntity} refEntity referenced entity
+	 * @return {type.ERDRelationship}
+	 */
+	findRelationship(elem, refEntity) {
+		var candidates = [];
+		[elem, refEntity, elem._parent, refEntity._parent].forEach(function (owner) {
+			((owner && owner.ownedElements) || []).forEach(function (rel) {
+				if (rel instanceof type.ERDRelationship && candidates.indexOf(rel) == -1) {
+					var refs = [rel.end1.reference, rel.end2.reference];
+					if (refs.indexOf(elem) > -1 && refs.indexOf(refEntity) > -1) {
+						candidates.push(rel);
+					}
+				}
+			});
 		});
+		var referencedEnd = function (rel) {
+			return rel.end1.reference === refEntity && (rel.end2.reference === elem || elem === refEntity) ? rel.end1 : rel.end2;
+		};
+		return (
+			candidates.find(function (rel) {
+				return ["1", "0..1"].indexOf(referencedEnd(rel).cardinality) > -1;
+			}) ||
+			candidates[0] ||
+			null
+		);
+	}
 
-		//generate triggers
-		var len = elem.tags.length;
-		for (var i = 0; i < len; i++) {
-			var t = elem.tags[i];
-			if (
-				t &&
-				t.kind === type.Tag.TK_REFERENCE &&
-				t.reference &&
-				t.reference.reference &&
-				t.reference.reference.name == options.trigger
-			) {
-				codeWriter.writeLine(
-					"CREATE TRIGGER " + tableName + "_" + self.routineName(t) + "  " + t.reference.value + " ON " + table
-				);
+	/**
+	 * Return whether a relationship end stands for many rows, its cardinality being `0..*` or `1..*`
+	 * @param {type.ERDRelationshipEnd} end
+	 * @return {boolean}
+	 */
+	isManyEnd(end) {
+		return (end.cardinality || "").indexOf("*") > -1;
+	}
+
+	/**
+	 * Return the relationships between the given entities, owned by the entities, their diagrams
+	 * or their data models
+	 * @param {Array.<type.ERDEntity>} entities
+	 * @return {Array.<type.ERDRelationship>}
+	 */
+	collectRelationships(entities) {
+		var relationships = [];
+		entities.forEach(function (entity) {
+			var owners = [entity, entity._parent, entity._parent && entity._parent._parent];
+			owners.forEach(function (owner) {
+				((owner && owner.ownedElements) || []).forEach(function (rel) {
+					if (
+						rel instanceof type.ERDRelationship &&
+						relationships.indexOf(rel) == -1 &&
+						entities.indexOf(rel.end1.reference) > -1 &&
+						entities.indexOf(rel.end2.reference) > -1
+					) {
+						relationships.push(rel);
+					}
+				});
+			});
+		});
+		return relationships;
+	}
+
+	/**
+	 * Generate the foreign keys of the relationships having no column behind them. The entity on the
+	 * many side of a one-to-many relationship, or on the optional side of a one-to-one relationship,
+	 * gets a column per primary key column of the other entity, named after the other end or table;
+	 * a many-to-many relationship gets a junction table referencing both entities. A foreign key
+	 * column without reference, named after the primary key of the other entity or alone, is linked
+	 * to that key instead. The generated columns are returned by `tableColumns`, the linked ones by
+	 * `columnReference`; the warnings are reported by the generation, the model validation
+	 * leaving them out.
+	 * @param {Array.<Object>} tables collected tables
+	 * @param {Object} options
+	 * @return {{tables: Array.<Object>, warnings: Array.<{element: type.Model, message: string}>}} junction tables and warnings
+	 */
+	resolveRelationships(tables, options) {
+		var self = this;
+		var entities = tables.map(function (table) { return table.entity; });
+		var junctions = [],
+			warnings = [];
+		self.generatedColumns = new Map();
+		self.linkedColumns = new Map();
+
+		var warn = function (rel, message) {
+			warnings.push({
+				element: rel,
+				message: "Relationship " + rel.end1.reference.name + " - " + rel.end2.reference.name + ": " + message
+			});
+		};
+		var primaryKey = function (entity) {
+			return entity.columns.filter(function (col) { return col.primaryKey; });
+		};
+		// the model columns only, each relationship generating its own columns
+		var references = function (from, to) {
+			return from.columns.filter(function (col) {
+				var refCol = self.columnReference(col);
+				return !!refCol && refCol._parent === to;
+			});
+		};
+		// the foreign key columns without reference standing for the primary key of the target,
+		// one per key column: named after it, or the only one when the key has a single column
+		var linkable = function (holder, target) {
+			var pk = primaryKey(target);
+			var unlinked = holder.columns.filter(function (col) { return col.foreignKey && !self.columnReference(col); });
+			var normalized = function (name) { return (name || "").replace(/[\s_]/g, "").toLowerCase(); };
+			var named = pk.map(function (key) {
+				var matching = unlinked.filter(function (col) {
+					return normalized(col.name).endsWith(normalized(key.name));
+				});
+				return matching.length == 1 ? matching[0] : null;
+			});
+			if (pk.length > 0 && named.every(function (col) { return !!col; })) {
+				return named;
+			}
+			return pk.length == 1 && unlinked.length == 1 ? unlinked : null;
+		};
+		var isUnique = function (entity, cols) {
+			var keys = self.getUniqueConstraints(entity, options).map(function (ctr) { return ctr.columns; });
+			return keys.concat([primaryKey(entity)]).some(function (key) {
+				return key.length > 0 && key.every(function (col) { return cols.indexOf(col) > -1; });
+			});
+		};
+		var endName = function (end) {
+			return self.physicalName(end.name || self.baseTableName(end.reference, options), options);
+		};
+		// the columns of an entity referencing the primary key of the entity at the other end
+		var referenceColumns = function (rel, owner, refEnd) {
+			var target = refEnd.reference;
+			var pk = primaryKey(target);
+			if (pk.length == 0) {
+				warn(rel, "no foreign key generated, " + target.name + " has no primary key");
+				return null;
+			}
+			var taken = self.tableColumns(owner).map(function (col) { return self.baseColumnName(col, options); });
+			var prefix = endName(refEnd);
+			var columns = [];
+			for (var i = 0; i < pk.length; i++) {
+				var pkName = self.baseColumnName(pk[i], options);
+				var name = pkName.indexOf(prefix + "_") == 0 ? pkName : prefix + "_" + pkName;
+				if (taken.indexOf(name) > -1) {
+					warn(rel, "no foreign key generated, " + owner.name + " already has a column " + name);
+					return null;
+				}
+				taken.push(name);
+				columns.push({
+					name: name,
+					type: pk[i].type,
+					length: pk[i].length == -1 ? "" : pk[i].length,
+					primaryKey: false,
+					foreignKey: true,
+					unique: false,
+					nullable: refEnd.cardinality === "0..1",
+					referenceTo: pk[i],
+					tags: [],
+					documentation: "",
+					relationship: rel,
+					_parent: owner
+				});
+			}
+			return columns;
+		};
+
+		// the entity holding the foreign key references the end with a `1` or `0..1` cardinality
+		var orientation = function (rel) {
+			var swap = self.isManyEnd(rel.end1) || (rel.end1.cardinality === "0..1" && rel.end2.cardinality === "1");
+			return { holder: swap ? rel.end1.reference : rel.end2.reference, refEnd: swap ? rel.end2 : rel.end1 };
+		};
+		var relationships = self.collectRelationships(entities);
+		relationships.forEach(function (rel) {
+			var many1 = self.isManyEnd(rel.end1),
+				many2 = self.isManyEnd(rel.end2);
+
+			if (many1 && many2) {
+				var e1 = rel.end1.reference,
+					e2 = rel.end2.reference;
+				var name1 = endName(rel.end1),
+					name2 = endName(rel.end2);
+				if (name1 === name2) {
+					warn(rel, "no junction table generated, name the relationship ends");
+					return;
+				}
+				if (references(e1, e2).length > 0 || references(e2, e1).length > 0) {
+					warn(rel, "the relationship is many-to-many but a column of one entity references the other");
+				}
+				var junction = {
+					name: codegen.stringTag("table", rel) || name1 + "_" + name2,
+					tags: [],
+					documentation: rel.documentation || "",
+					columns: [],
+					ownedElements: [],
+					_parent: e1._parent
+				};
+				var columns1 = referenceColumns(rel, junction, rel.end1);
+				junction.columns = columns1 || [];
+				var columns2 = columns1 && referenceColumns(rel, junction, rel.end2);
+				if (!columns2) {
+					return;
+				}
+				junction.columns = columns1.concat(columns2);
+				junction.columns.forEach(function (col) {
+					col.primaryKey = true;
+					col.nullable = false;
+				});
+				var table = tables.find(function (t) { return t.entity === e1; });
+				junctions.push({ entity: junction, group: table.group, schema: table.schema });
+				return;
+			}
+
+			var oneToOne = !many1 && !many2;
+			var oriented = orientation(rel);
+			var holder = oriented.holder;
+			var refEnd = oriented.refEnd;
+			var target = refEnd.reference;
+
+			var explicit = references(holder, target);
+			// a reference the other way round may stand for another relationship
+			var reverse = holder !== target ? references(target, holder) : [];
+			var explained = relationships.some(function (other) {
+				var manyToMany = self.isManyEnd(other.end1) && self.isManyEnd(other.end2);
+				return other !== rel && !manyToMany && orientation(other).holder === target && orientation(other).refEnd.reference === holder;
+			});
+			if (explicit.length == 0 && reverse.length > 0 && !explained) {
+				if (!oneToOne) {
+					warn(rel, "the column " + reverse[0].name + " of " + target.name + " references " + holder.name + ", on the many side");
+					return;
+				}
+				holder = target;
+				explicit = reverse;
+			}
+			if (explicit.length > 0) {
+				if (oneToOne && !isUnique(holder, explicit)) {
+					warn(rel, "the relationship is one-to-one but the column " + explicit[0].name + " of " + holder.name + " is not unique");
+				}
+				return;
+			}
+			// a foreign key column without reference is more likely meant than a generated one
+			var linked = linkable(holder, target);
+			if (linked) {
+				primaryKey(target).forEach(function (key, idx) {
+					self.linkedColumns.set(linked[idx], key);
+				});
+				return;
+			}
+			var unlinked = holder.columns.filter(function (col) { return col.foreignKey && !self.columnReference(col); });
+			if (unlinked.length > 0) {
+				warn(rel, "no foreign key generated, set the reference of the foreign key column " + unlinked[0].name + " of " + holder.name);
+				return;
+			}
+
+			var columns = referenceColumns(rel, holder, refEnd);
+			if (!columns) {
+				return;
+			}
+			if (oneToOne && columns.length == 1) {
+				columns[0].unique = true;
+				columns[0].foreignKey = false;
+			} else if (oneToOne) {
+				var uniqueName = self.physicalTableName(holder, options) + "_" + columns.map(function (col) { return col.name; }).join("_") + "_key";
+				columns.forEach(function (col, idx) {
+					col.tags = [{ name: uniqueName, kind: type.Tag.TK_STRING, value: "unique", number: idx + 1 }];
+				});
+			}
+			self.generatedColumns.set(holder, (self.generatedColumns.get(holder) || []).concat(columns));
+		});
+
+		return { tables: junctions, warnings: warnings };
+	}
+
+	/**
+	 * Return the referential actions and deferrability of a foreign key, given by the `on_delete`,
+	 * `on_update`, `match` and `deferrable` tags of its columns or, failing that, of the relationship
+	 * the columns were generated for or that links the two entities
+	 * @param {{refEntity: type.ERDEntity, columns: Array.<type.ERDColumn>}} fk
+	 * @param {type.ERDEntity} elem
+	 * @return {{clauses: string, invalid: Array.<string>}}
+	 */
+	foreignKeyOptions(fk, elem) {
+		var relationship = fk.columns[0].relationship || this.findRelationship(elem, fk.refEntity);
+		var tagged = fk.columns.concat(relationship ? [relationship] : []);
+		var value = function (name) {
+			for (var i = 0; i < tagged.length; i++) {
+				var t = codegen.tag(name, tagged[i]);
+				if (t && t.kind === type.Tag.TK_STRING) {
+					return t.value.trim().toLowerCase().split(/\s+/).join(" ");
+				}
+			}
+			return null;
+		};
+		var actions = ["cascade", "restrict", "no action", "set null", "set default"];
+		var clauses = "",
+			invalid = [];
+		var match = value("match");
+		if (match !== null) {
+			if (["full", "simple"].indexOf(match) > -1) {
+				clauses += " MATCH " + match.toUpperCase();
+			} else {
+				invalid.push("match " + match);
+			}
+		}
+		[["on_delete", " ON DELETE "], ["on_update", " ON UPDATE "]].forEach(function (action) {
+			var v = value(action[0]);
+			if (v !== null) {
+				if (actions.indexOf(v) > -1) {
+					clauses += action[1] + v.toUpperCase();
+				} else {
+					invalid.push(action[0] + " " + v);
+				}
+			}
+		});
+		var deferrable = value("deferrable");
+		if (deferrable !== null) {
+			if (["", "deferrable", "immediate", "initially immediate"].indexOf(deferrable) > -1) {
+				clauses += " DEFERRABLE";
+			} else if (["deferred", "initially deferred"].indexOf(deferrable) > -1) {
+				clauses += " DEFERRABLE INITIALLY DEFERRED";
+			} else {
+				invalid.push("deferrable " + deferrable);
+			}
+		}
+		return { clauses: clauses, invalid: invalid };
+	}
+
+	/**
+	 * Return the options of a column `index` tag, whose value is `index` optionally followed by an
+	 * operator class and `nulls first` or `nulls last`; null for other tags
+	 * @param {type.Tag} tag
+	 * @return {{opclass: string, nulls: string, unknown: string}}
+	 */
+	indexTagOptions(tag) {
+		var match = /^\s*index(\s.*)?$/i.exec(tag.value || "");
+		if (!match || tag.kind !== type.Tag.TK_STRING) {
+			return null;
+		}
+		var words = (match[1] || "").trim().toLowerCase().split(/\s+/).filter(function (w) { return !!w; });
+		var nulls = "";
+		var at = words.indexOf("nulls");
+		if (at > -1 && ["first", "last"].indexOf(words[at + 1]) > -1) {
+			nulls = words[at + 1];
+			words.splice(at, 2);
+		}
+		return {
+			opclass: /^[a-z_][a-z0-9_$]*$/.test(words[0] || "") ? words.shift() : "",
+			nulls: nulls,
+			unknown: words.join(" ")
+		};
+	}
+
+	/**
+	 * Parse the value of an entity `index:<name>` tag, made of the `CREATE INDEX` clauses:
+	 * `[unique] [concurrently] [using <method>] [(<key>, ...)] [include (<column>, ...)] [where <predicate>]`
+	 * @param {string} value
+	 * @return {{unique: boolean, concurrently: boolean, method: string, keys: Array.<string>, include: Array.<string>, where: string, unknown: string}}
+	 */
+	parseIndexDefinition(value) {
+		var rest = (value || "").trim();
+		var definition = { unique: false, concurrently: false, method: "", keys: null, include: [], where: "", unknown: "" };
+		var word = function (expected) {
+			var match = new RegExp("^" + expected + "(?![A-Za-z0-9_$])\\s*", "i").exec(rest);
+			if (match) {
+				rest = rest.substring(match[0].length);
+			}
+			return !!match;
+		};
+		var list = function () {
+			var items = splitList(rest);
+			if (items === null) {
+				return null;
+			}
+			rest = items.rest.trim();
+			return items.list;
+		};
+		definition.unique = word("unique");
+		definition.concurrently = word("concurrently");
+		if (word("using")) {
+			var method = /^[A-Za-z_][A-Za-z0-9_]*\s*/.exec(rest);
+			if (method) {
+				definition.method = method[0].trim().toLowerCase();
+				rest = rest.substring(method[0].length);
+			}
+		}
+		definition.keys = list();
+		if (word("include")) {
+			definition.include = list() || [];
+		}
+		if (word("where")) {
+			definition.where = rest;
+			rest = "";
+		}
+		definition.unknown = rest;
+		return definition;
+	}
+
+	/**
+	 * Return the user indexes of an Entity: the `index` tags of its columns grouped by name, the
+	 * tag number giving the column position and a checked tag a descending order, along with
+	 * the `index:<name>` tags of the entity giving the index options or keys
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, columns: Array.<Object>, definition: Object, owner: type.Model}>}
+	 */
+	getIndexes(elem, options) {
+		var self = this;
+		var indexes = [],
+			named = {};
+		var index = function (name, owner) {
+			if (!named[name]) {
+				named[name] = { name: name, columns: [], definition: self.parseIndexDefinition(""), owner: owner };
+				indexes.push(named[name]);
+			}
+			return named[name];
+		};
+		self.tableColumns(elem).forEach(function (col) {
+			col.tags.forEach(function (tag) {
+				var tagOptions = self.indexTagOptions(tag);
+				if (tagOptions) {
+					index(tag.name || "", col).columns.push({
+						col: col,
+						seq: tag.number,
+						desc: !!tag.checked,
+						opclass: tagOptions.opclass,
+						nulls: tagOptions.nulls,
+						unknown: tagOptions.unknown
+					});
+				}
+			});
+		});
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*index\s*:(.*)$/i.exec(tag.name || "");
+			if (match && tag.kind === type.Tag.TK_STRING) {
+				var idx = index(match[1].trim(), elem);
+				idx.owner = elem;
+				idx.definition = self.parseIndexDefinition(tag.value);
+			}
+		});
+		indexes.forEach(function (idx) {
+			idx.columns.sort(function (c1, c2) { return c1.seq - c2.seq; });
+		});
+		return indexes;
+	}
+
+	/**
+	 * Return the type mapping, read once per mapping file
+	 * @param {Object} options
+	 * @return {{file: string, types: Object, errors: Array.<string>}}
+	 */
+	typeMapping(options) {
+		var file = options.typeMapping || "";
+		if (!this.loadedTypeMapping || this.loadedTypeMapping.file !== file) {
+			this.loadedTypeMapping = typeMapping.loadTypeMapping(file);
+		}
+		return this.loadedTypeMapping;
+	}
+
+	/**
+	 * Return the StarUML type mapping, each type giving the PostgreSQL type of a column
+	 * @param {Object} options
+	 * @return {Object.<string, function(type.ERDColumn, Object): string>}
+	 */
+	dataTypeMap(options) {
+		var mapping = this.typeMapping(options);
+		var map = {};
+		Object.keys(mapping.types).forEach(function (name) {
+			map[name] = function (elem, options) {
+				return typeMapping.mapType(mapping, name, elem.length);
+			};
+		});
+		return map;
+	}
+
+	dataType(elem, options) {
+		var enumType = this.enumType(elem, options);
+		if (enumType) {
+			return enumType.typeName;
+		}
+		// identity columns keep the type their serial type stands for
+		var length = elem.length == -1 && this.identity(elem, options) ? "" : elem.length;
+		return typeMapping.mapType(this.typeMapping(options), elem.type, length);
+	}
+
+	/**
+	 * Return the data model an element belongs to
+	 * @param {type.Model} elem
+	 * @return {type.ERDDataModel} null if the element is not part of a data model
+	 */
+	dataModelOf(elem) {
+		for (var e = elem; e; e = e._parent) {
+			if (e instanceof type.ERDDataModel) {
+				return e;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Return the enumeration types declared by the `enum:<name>` tags of a data model, listing
+	 * their values; they are created in the data model schema and shared by its tables
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, typeName: string, values: Array.<string>, shared: boolean, owner: type.Tag}>}
+	 */
+	getEnums(elem, options) {
+		var self = this;
+		var schemaName = self.quoteName(self.schemaName(elem, options), options);
+		var enums = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*enum\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
+			}
+			var name = match[1].trim();
+			enums.push({
+				name: name,
+				typeName: schemaName + "." + self.objectName([name], options),
+				values: enumValues(tag.value),
+				shared: true,
+				owner: tag
+			});
+		});
+		return enums;
+	}
+
+	/**
+	 * Return the enumeration type of a column. A column whose type names an enumeration of its
+	 * data model, or of another one when qualified by its schema name, uses that shared type. A
+	 * column of the `enum` type has its own type, named `<table>_<column>`, listing the values of
+	 * its `enum` tag; without the tag a foreign key column gets the referenced column type.
+	 * @param {type.ERDColumn} col
+	 * @param {Object} options
+	 * @return {{name: string, typeName: string, values: Array.<string>, shared: boolean}} null for the other columns
+	 */
+	enumType(col, options) {
+		var self = this;
+		var typeName = (col.type || "").trim();
+		if (typeName.toLowerCase() === "enum") {
+			var source = codegen.stringTag("enum", col) ? col : self.columnReference(col);
+			var values = source && (source.type || "").trim().toLowerCase() === "enum" && codegen.stringTag("enum", source);
+			if (!values) {
+				return null;
+			}
+			var entity = source._parent;
+			var name = self.physicalTableName(entity, options) + "_" + self.baseColumnName(source, options);
+			return {
+				name: name,
+				typeName: self.quoteName(self.schemaName(entity._parent, options), options) + "." + self.objectName([name], options),
+				values: enumValues(values),
+				shared: false
+			};
+		}
+
+		var qualified = self.qualifiedDataModel(col, typeName, options);
+		if (!qualified.dataModel || !qualified.name) {
+			return null;
+		}
+		return self.getEnums(qualified.dataModel, options).find(function (enumType) {
+			return enumType.name.toLowerCase() === qualified.name.toLowerCase();
+		}) || null;
+	}
+
+	/**
+	 * Return the data model declaring an object named from an element: the element data model,
+	 * or the one of the schema the name is qualified by
+	 * @param {type.Model} elem
+	 * @param {string} name such as `order_status` or `sales.order_status`
+	 * @param {Object} options
+	 * @return {{dataModel: type.ERDDataModel, name: string}} the data model, null if not found, and the unqualified name
+	 */
+	qualifiedDataModel(elem, name, options) {
+		var self = this;
+		var dataModel = self.dataModelOf(elem);
+		var dot = name.lastIndexOf(".");
+		if (dot > -1 && dataModel && dataModel._parent) {
+			var schema = self.physicalSchemaName(name.substring(0, dot).trim(), options);
+			name = name.substring(dot + 1).trim();
+			dataModel = dataModel._parent.ownedElements.find(function (e) {
+				return e instanceof type.ERDDataModel && self.schemaName(e, options) === schema;
+			}) || null;
+		}
+		return { dataModel: dataModel, name: name };
+	}
+
+	/**
+	 * Write an enumeration type, along with its cast from character varying, and its removal
+	 * @param {{create: DDLScript, drop: DDLScript}} scripts
+	 * @param {{typeName: string, values: Array.<string>}} enumType
+	 * @param {Object} options
+	 */
+	writeEnum(scripts, enumType, options) {
+		var typeWriter = scripts.create.section("types");
+		this.writeGuarded(typeWriter, options, function () {
+			typeWriter.writeLine("CREATE TYPE " + enumType.typeName + " AS ENUM(" + codegen.enumAsList(enumType.values.join(",")) + ");");
+		});
+		typeWriter.writeLine();
+		this.writeGuarded(typeWriter, options, function () {
+			typeWriter.writeLine("CREATE CAST (CHARACTER VARYING AS " + enumType.typeName + ") WITH INOUT AS IMPLICIT;");
+		});
+		typeWriter.writeLine();
+		scripts.drop.section("types").writeLine("DROP TYPE " + (options.idempotent ? "IF EXISTS " : "") + enumType.typeName + " CASCADE;");
+		this.snapshot.enums[enumType.typeName] = enumType.values;
+	}
+
+	/**
+	 * Return the generation expression of a computed column, given by its `generated` tag
+	 * @param {type.ERDColumn} elem
+	 * @return {string} empty for the other columns
+	 */
+	generatedExpression(elem) {
+		return codegen.stringTag("generated", elem).trim();
+	}
+
+	/**
+	 * Return the identity of a column: the columns with an `identity` tag, valued `always` or
+	 * `by default`, and the serial ones when the auto increment option is an identity. The
+	 * sequence start and increment come from the `start_with` and `increment_by` tags.
+	 * @param {type.ERDColumn} elem
+	 * @param {Object} options
+	 * @return {{generation: string, start: string, increment: string}} null for the other columns
+	 */
+	identity(elem, options) {
+		if (this.generatedExpression(elem)) {
+			return null;
+		}
+		var optionGeneration = IDENTITY_GENERATIONS[options.identity];
+		var tag = codegen.tag("identity", elem);
+		var generation = null;
+		if (tag) {
+			var value = (tag.value || "").trim().toLowerCase().replace(/\s+/g, " ");
+			generation = value ? IDENTITY_GENERATIONS[value] : optionGeneration || "BY DEFAULT";
+		} else if (optionGeneration && typeMapping.serialType(this.typeMapping(options), elem.type, elem.length)) {
+			generation = optionGeneration;
+		}
+		if (!generation) {
+			return null;
+		}
+		var sequenceOption = function (name) {
+			var optionTag = codegen.tag(name, elem);
+			if (!optionTag) {
+				return "";
+			}
+			return optionTag.kind === type.Tag.TK_NUMBER ? String(optionTag.number) : (optionTag.value || "").trim();
+		};
+		return {
+			generation: generation,
+			start: sequenceOption("start_with"),
+			increment: sequenceOption("increment_by")
+		};
+	}
+
+	/**
+	 * Return DDL column string; identity and generated columns get no default, identity ones
+	 * being always NOT NULL
+	 * @param {type.ERDColumn} elem
+	 * @param {Object} options
+	 * @return {String}
+	 */
+	columnDeclaration(columnName, elem, comments, defaultValue, options) {
+		var self = this;
+		var line = columnName;
+		var _type = self.dataType(elem, options);
+		var identity = self.identity(elem, options);
+		var expression = self.generatedExpression(elem);
+		line += " " + _type;
+		if (expression) {
+			line += " GENERATED ALWAYS AS (" + expression + ") STORED";
+		} else if (identity) {
+			line += " " + codegen.identityClause(identity);
+		}
+		if (elem.primaryKey || !elem.nullable || identity) {
+			line += " NOT NULL";
+		}
+		if (_type.indexOf("serial") == -1 && !identity && !expression) {
+			line += defaultValue;
+		}
+		var documentation = elem.documentation;
+		if (!!documentation) {
+			comments.push({
+				col: columnName,
+				doc: codegen.asComment(documentation)
+			});
+		}
+		return line;
+	}
+
+	/**
+	 * Write the user indexes of an Entity, and their removal
+	 * @param {CodeWriter} codeWriter
+	 * @param {CodeWriter} dropWriter null when the indexes go with their table or view
+	 * @param {string} table qualified table name
+	 * @param {string} schemaName quoted schema name
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} tableSnapshot null for the materialized views
+	 * @param {Object} options
+	 */
+	writeUserIndexes(codeWriter, dropWriter, table, schemaName, elem, tableSnapshot, options) {
+		var self = this;
+		var physicalTableName = self.physicalTableName(elem, options);
+
+		var indexes = self.getIndexes(elem, options);
+		indexes.forEach(function (idx) {
+			var definition = idx.definition;
+			var keys = definition.keys || idx.columns.map(function (c) {
+				return self.columnName(c.col, options) +
+					(c.opclass ? " " + c.opclass : "") +
+					(c.desc ? " DESC" : "") +
+					(c.nulls ? " NULLS " + c.nulls.toUpperCase() : "");
+			});
+			var indexName = idx.name
+				? self.quoteName(self.physicalName(idx.name, options), options)
+				: self.objectName([physicalTableName].concat(idx.columns.map(function (c) {
+					return self.baseColumnName(c.col, options);
+				}), ["idx"]), options);
+			var create = "CREATE " + (definition.unique ? "UNIQUE " : "") + "INDEX " +
+				(definition.concurrently ? "CONCURRENTLY " : "") + indexName + " ON " + table +
+				(definition.method ? " USING " + definition.method : "");
+			var clauses = "(" + keys.join(", ") + ")" +
+				(definition.include.length > 0 ? " INCLUDE (" + definition.include.join(", ") + ")" : "") +
+				(definition.where ? " WHERE " + definition.where : "");
+
+			// the concurrent index creation cannot run in the transaction of the idempotent scripts
+			var outside = options.idempotent && definition.concurrently;
+			outside && codeWriter.writeLine("COMMIT;");
+			codeWriter.writeLine(options.idempotent ? create.replace(" " + indexName + " ON ", " IF NOT EXISTS " + indexName + " ON ") : create);
+			codeWriter.indent();
+			codeWriter.writeLine(clauses + ";");
+			codeWriter.outdent();
+			outside && codeWriter.writeLine("BEGIN;");
+			// the index goes along with its table, dropped in the same transaction
+			var concurrently = definition.concurrently && !options.idempotent ? "CONCURRENTLY " : "";
+			dropWriter && dropWriter.writeLine("DROP INDEX " + concurrently + "IF EXISTS " + schemaName + "." + indexName + ";");
+			tableSnapshot && tableSnapshot.indexes.push({
+				name: indexName,
+				definition: create + " " + clauses
+			});
+		});
+		indexes.length > 0 && codeWriter.writeLine();
+	}
+
+	/**
+	 * Return the physical name of a model name, according to the naming strategy
+	 * @param {string} name
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	physicalName(name, options) {
+		return codegen.applyNamingStrategy(name, options.naming);
+	}
+
+	/**
+	 * Return the physical name of a database or schema; under the as is strategy they stay in
+	 * lower case, as they were generated before the naming strategies
+	 * @param {string} name
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	physicalSchemaName(name, options) {
+		var physicalName = this.physicalName(name, options);
+		return options.naming === "as-is" ? physicalName.toLowerCase() : physicalName;
+	}
+
+	/**
+	 * Return an identifier as written in the SQL, according to the quoting policy
+	 * @param {string} name physical name
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	quoteName(name, options) {
+		return codegen.quoteIdentifier(name, options.quoting);
+	}
+
+	/**
+	 * Return the unquoted table name, from the `table` tag or the entity name, without prefix
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	baseTableName(elem, options) {
+		var tag = codegen.tag("table", elem);
+		var tableName = "";
+		if (tag) {
+			tableName = tag.value;
+		}
+		if (!tableName) {
+			tableName = elem.name;
+		}
+		return this.physicalName(tableName, options);
+	}
+
+	/**
+	 * Return the table name prefix, given by the `prefix` tag of the diagram owning the entity
+	 * @param {type.ERDEntity} elem
+	 * @return {string}
+	 */
+	tablePrefix(elem) {
+		if (elem._parent instanceof type.ERDDiagram) {
+			return codegen.stringTag("prefix", elem._parent);
+		}
+		return "";
+	}
+
+	/**
+	 * Return the unquoted table name, prefixed
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	physicalTableName(elem, options) {
+		return this.physicalName(this.tablePrefix(elem), options) + this.baseTableName(elem, options);
+	}
+
+	tableName(elem, options) {
+		var tableName = this.baseTableName(elem, options);
+		if (!codegen.isValidIdentifier(tableName)) {
+			this.report("error", "Table name is not valid: " + tableName + ", please edit the table tag for " + elem.name, elem);
+			return "";
+		}
+		return this.quoteName(this.physicalTableName(elem, options), options);
+	}
+
+	/**
+	 * Return the schema qualified table name
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	qualifiedTableName(elem, options) {
+		return this.quoteName(this.schemaName(elem._parent, options), options) + "." + this.tableName(elem, options);
+	}
+
+	/**
+	 * Return the unquoted column name, from the `column` tag or the column name
+	 * @param {type.ERDColumn} elem
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	baseColumnName(elem, options) {
+		var tag = codegen.tag("column", elem);
+		var columnName = "";
+		if (tag) {
+			columnName = tag.value;
+		}
+		if (!columnName) {
+			columnName = elem.name;
+		}
+		return this.physicalName(columnName, options);
+	}
+
+	columnName(elem, options) {
+		var columnName = this.baseColumnName(elem, options);
+		if (!codegen.isValidIdentifier(columnName)) {
+			this.report("error", "Column name is not valid: " + columnName + ", please edit the column tag for " + elem.name, elem);
+			return "";
+		}
+		return this.quoteName(columnName, options);
+	}
+
+	columnDefault(elem, options) {
+		var tag = codegen.tag("default", elem);
+		if (!tag) {
+			return "";
+		}
+
+		var dbName = tag.value;
+		var sequence = this.defaultSequence(elem, options);
+		if (sequence) {
+			var sequenceName = sequence.sequence ? sequence.sequence.sequenceName : sequence.name;
+			dbName = "nextval('" + sequenceName.replace(/'/g, "''") + "')";
+		}
+		return " DEFAULT " + dbName;
+	}
+
+	/**
+	 * Return the name of a generated object, such as a constraint, an index or a type,
+	 * made of the names it belongs to; the default names follow the PostgreSQL ones
+	 * @param {Array.<string>} parts unquoted names, joined with underscores
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	objectName(parts, options) {
+		return this.quoteName(this.physicalName(parts.join("_"), options), options);
+	}
+
+	/**
+	 * Return the unquoted name of a foreign key constraint, shortened to the identifier maximum length
+	 * @param {string} tableName unquoted table name
+	 * @param {Array.<string>} columnNames unquoted column names
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	foreignKeyName(tableName, columnNames, options) {
+		return codegen.shortenIdentifier(this.physicalName("FK_" + tableName + "__" + columnNames.join("_"), options));
+	}
+
+	/**
+	 * Return the seed data of an Entity, the header names being resolved to the table columns
+	 * by their generated or model name
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {{source: string, header: Array.<string>, columns: Array.<type.ERDColumn>, rows: Array.<Array.<string>>, error: string}} null without seed data
+	 */
+	getSeedData(elem, options) {
+		var self = this;
+		var seed = seedData.readSeed(elem, options.baseDir);
+		if (!seed) {
+			return null;
+		}
+		seed.columns = seed.header.map(function (name) {
+			return self.findColumn(elem, name, options);
+		});
+		return seed;
+	}
+
+	/**
+	 * Return the column of an Entity named by its model or generated name, ignoring the case
+	 * @param {type.ERDEntity} elem
+	 * @param {string} name
+	 * @param {Object} options
+	 * @return {type.ERDColumn} null if not found
+	 */
+	findColumn(elem, name, options) {
+		var self = this;
+		return self.tableColumns(elem).find(function (col) {
+			return self.baseColumnName(col, options).toLowerCase() === name.toLowerCase() ||
+				(col.name || "").toLowerCase() === name.toLowerCase();
+		}) || null;
+	}
+
+	/**
+	 * Write the seed data of an Entity, either as a multi-row INSERT skipping the existing rows
+	 * or as a COPY, followed by the update of the sequences of its seeded serial or identity columns
+	 * @param {CodeWriter} codeWriter
+	 * @param {string} table qualified table name
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 */
+	writeSeedData(codeWriter, table, elem, options) {
+		var self = this;
+		var seed = self.getSeedData(elem, options);
+		if (seed && seed.error) {
+			self.report("error", seed.error + ", no seed data generated for " + elem.name, elem);
+			return;
+		} else if (!seed || seed.rows.length == 0) {
+			return;
+		}
+
+		// the unknown and generated columns are left out
+		var fields = [];
+		seed.columns.forEach(function (col, idx) {
+			if (col && !self.generatedExpression(col)) {
+				var _type = self.dataType(col, options);
+				fields.push({
+					col: col,
+					idx: idx,
+					kind: seedData.valueKind(_type),
+					sequence: _type.indexOf("serial") > -1 || !!self.identity(col, options)
+				});
+			}
+		});
+		if (fields.length == 0) {
+			return;
+		}
+		var value = function (row, field) {
+			return field.idx < row.length ? row[field.idx] : null;
+		};
+		var columnList = fields.map(function (field) { return self.columnName(field.col, options); }).join(", ");
+
+		// the copied rows would conflict with the ones of a previous run
+		if (options.seedFormat === "copy" && !options.idempotent) {
+			codeWriter.writeLine("COPY " + table + " (" + columnList + ") FROM stdin;");
+			seed.rows.forEach(function (row) {
+				codeWriter.writeLine(fields.map(function (field) {
+					return seedData.copyValue(value(row, field), field.kind);
+				}).join("\t"));
+			});
+			codeWriter.writeLine("\\.");
+		} else {
+			var overriding = fields.some(function (field) {
+				var identity = self.identity(field.col, options);
+				return identity && identity.generation === "ALWAYS";
+			});
+			codeWriter.writeLine("INSERT INTO " + table + " (" + columnList + ")" + (overriding ? " OVERRIDING SYSTEM VALUE" : "") + " VALUES");
+			codeWriter.indent();
+			seed.rows.forEach(function (row, idx) {
+				var literals = fields.map(function (field) {
+					return seedData.sqlLiteral(value(row, field), field.kind);
+				});
+				codeWriter.writeLine("(" + literals.join(", ") + ")" + (idx < seed.rows.length - 1 ? "," : ""));
+			});
+			codeWriter.outdent();
+			codeWriter.writeLine("ON CONFLICT DO NOTHING;");
+		}
+
+		// the sequences go on after the seeded values
+		fields.forEach(function (field) {
+			var column = self.columnName(field.col, options);
+			var sequence = self.defaultSequence(field.col, options);
+			var sequenceName;
+			if (sequence && sequence.sequence) {
+				sequenceName = "'" + sequence.sequence.sequenceName.replace(/'/g, "''") + "'";
+			} else if (field.sequence) {
+				// the column name as stored, unquoted names being folded to lower case
+				var storedName = /^".*"$/.test(column) ? column.slice(1, -1).replace(/""/g, '"') : column.toLowerCase();
+				sequenceName = "pg_get_serial_sequence('" + table.replace(/'/g, "''") + "', '" + storedName.replace(/'/g, "''") + "')";
+			} else {
+				return;
+			}
+			codeWriter.writeLine("SELECT setval(" + sequenceName + ", max(" + column + ")) FROM " + table + ";");
+		});
+		codeWriter.writeLine();
+	}
+
+	/**
+	 * Parse the value of an entity `trigger:<name>` tag, made of the `CREATE TRIGGER` clauses:
+	 * `before | after | instead of <event> [or <event> ...] [for each row | for each statement]
+	 * [when (<condition>)] execute <function>[(<argument>, ...)]`, the events being `insert`,
+	 * `update [of <column>, ...]`, `delete` and `truncate`
+	 * @param {string} value
+	 * @return {{timing: string, events: Array.<{event: string, columns: Array.<string>}>, level: string, when: string, function: string, arguments: Array.<string>, unknown: string}}
+	 */
+	parseTriggerDefinition(value) {
+		var rest = (value || "").trim();
+		var definition = { timing: "", events: [], level: "statement", when: "", function: "", arguments: [], unknown: "" };
+		var word = function (expected) {
+			var match = new RegExp("^(?:" + expected + ")(?![A-Za-z0-9_$])\\s*", "i").exec(rest);
+			if (match) {
+				rest = rest.substring(match[0].length);
+			}
+			return match ? match[0].trim().replace(/\s+/g, " ").toLowerCase() : "";
+		};
+		definition.timing = word("before|after|instead\\s+of");
+		do {
+			var event = word("insert|update|delete|truncate");
+			if (!event) {
+				break;
+			}
+			var columns = [];
+			if (event === "update" && word("of")) {
+				// the column names, which may hold spaces, go up to the next clause
+				var names = /^[\s\S]*?(?=\s+(?:or|for|when|execute)(?![A-Za-z0-9_$])|$)/i.exec(rest)[0];
+				rest = rest.substring(names.length).trim();
+				columns = names.split(",").map(function (name) { return name.trim(); });
+			}
+			definition.events.push({ event: event, columns: columns });
+		} while (word("or"));
+		if (word("for")) {
+			word("each");
+			definition.level = word("row|statement") || definition.level;
+		}
+		if (word("when")) {
+			var condition = /^[\s\S]*?(?=execute(?![A-Za-z0-9_$])|$)/i.exec(rest)[0];
+			rest = rest.substring(condition.length);
+			definition.when = condition.trim().replace(/^\(([\s\S]*)\)$/, "$1").trim();
+		}
+		if (word("execute")) {
+			word("function|procedure");
+			var name = /^[^\s(]+\s*/.exec(rest);
+			if (name) {
+				definition.function = name[0].trim();
+				rest = rest.substring(name[0].length);
+			}
+			var args = splitList(rest);
+			if (args) {
+				definition.arguments = args.list;
+				rest = args.rest.trim();
+			}
+			rest = rest.replace(/^;\s*$/, "");
+		}
+		definition.unknown = rest;
+		return definition;
+	}
+
+	/**
+	 * Return the triggers declared by the `trigger:<name>` tags of an Entity
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, triggerName: string, definition: Object, owner: type.Tag}>}
+	 */
+	getTriggers(elem, options) {
+		var self = this;
+		var triggers = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*trigger\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
+			}
+			var name = match[1].trim();
+			triggers.push({
+				name: name,
+				triggerName: self.objectName([name], options),
+				definition: self.parseTriggerDefinition(tag.value),
+				owner: tag
+			});
+		});
+		return triggers;
+	}
+
+	/**
+	 * Return the function a trigger executes, declared by the data model of the Entity, or by
+	 * another one when qualified by its schema name; the functions without parameters come first
+	 * @param {type.ERDEntity} elem
+	 * @param {string} name
+	 * @param {Object} options
+	 * @return {Object} the routine, null if not found
+	 */
+	triggerFunction(elem, name, options) {
+		var qualified = this.qualifiedDataModel(elem, name || "", options);
+		if (!qualified.dataModel || !qualified.name) {
+			return null;
+		}
+		var functions = this.getRoutines(qualified.dataModel, options).filter(function (routine) {
+			return routine.kind === "function" && routine.name.toLowerCase() === qualified.name.toLowerCase();
+		});
+		return functions.find(function (routine) { return routine.definition.parameters.length == 0; }) || functions[0] || null;
+	}
+
+	/**
+	 * Write a trigger of a table or view, and its removal
+	 * @param {CodeWriter} codeWriter
+	 * @param {CodeWriter} dropWriter null when the trigger goes with its view
+	 * @param {Object} trigger
+	 * @param {type.ERDEntity} elem
+	 * @param {string} table qualified table name
+	 * @param {Object} options
+	 */
+	writeTrigger(codeWriter, dropWriter, trigger, elem, table, options) {
+		var self = this;
+		var definition = trigger.definition;
+		var routine = self.triggerFunction(elem, definition.function, options);
+		if (!definition.timing || definition.events.length == 0 || !definition.function) {
+			self.report("error", "The trigger " + trigger.name + " of " + elem.name + " lacks its timing, events or function", trigger.owner);
+			return;
+		}
+		var events = definition.events.map(function (event) {
+			var columns = event.columns.map(function (name) {
+				var col = self.findColumn(elem, name, options);
+				return col ? self.columnName(col, options) : name;
+			});
+			return event.event.toUpperCase() + (columns.length > 0 ? " OF " + columns.join(", ") : "");
+		});
+		codeWriter.writeLine("CREATE " + (options.idempotent ? "OR REPLACE " : "") + "TRIGGER " + trigger.triggerName);
+		codeWriter.indent();
+		codeWriter.writeLine(definition.timing.toUpperCase() + " " + events.join(" OR ") + " ON " + table);
+		codeWriter.writeLine("FOR EACH " + definition.level.toUpperCase());
+		definition.when && codeWriter.writeLine("WHEN (" + definition.when + ")");
+		codeWriter.writeLine("EXECUTE FUNCTION " + (routine ? routine.routineName : definition.function) + "(" + definition.arguments.join(", ") + ");");
+		codeWriter.outdent();
+		codeWriter.writeLine();
+		dropWriter && dropWriter.writeLine("DROP TRIGGER IF EXISTS " + trigger.triggerName + " ON " + table + ";");
+	}
+
+	/**
+	 * Parse a partition key: `range | list | hash (<column or expression>, ...)`
+	 * @param {string} value
+	 * @return {{strategy: string, keys: Array.<string>, unknown: string}}
+	 */
+	parsePartitionKey(value) {
+		var rest = (value || "").trim();
+		var key = { strategy: "", keys: [], unknown: "" };
+		var strategy = /^(range|list|hash)(?![A-Za-z0-9_$])\s*/i.exec(rest);
+		if (strategy) {
+			key.strategy = strategy[1].toLowerCase();
+			rest = rest.substring(strategy[0].length);
+		}
+		var items = splitList(rest);
+		if (items) {
+			key.keys = items.list;
+			rest = items.rest.trim();
+		}
+		key.unknown = rest;
+		return key;
+	}
+
+	/**
+	 * Return the partition key of an Entity, given by its `partition_by` tag
+	 * @param {type.ERDEntity} elem
+	 * @return {{strategy: string, keys: Array.<string>, unknown: string}} null for the tables that are not partitioned
+	 */
+	getPartitionKey(elem) {
+		var tag = codegen.tag("partition_by", elem);
+		return tag ? this.parsePartitionKey(tag.value) : null;
+	}
+
+	/**
+	 * Parse the value of an Entity `partition:<name>` tag: `[of <partition>] for values from (<value>, ...)
+	 * to (<value>, ...) | for values in (<value>, ...) | for values with (modulus <n>, remainder <n>) | default
+	 * [partition by <key>] [tablespace <name>]`, `of` naming the partition it sub-partitions
+	 * @param {string} value
+	 * @return {{of: string, bounds: Object, isDefault: boolean, partitionBy: Object, tablespace: string, unknown: string}}
+	 */
+	parsePartitionDefinition(value) {
+		var rest = (value || "").trim();
+		var definition = { of: "", bounds: null, isDefault: false, partitionBy: null, tablespace: "", unknown: "" };
+		var word = function (expected) {
+			var match = new RegExp("^(?:" + expected + ")(?![A-Za-z0-9_$])\\s*", "i").exec(rest);
+			if (match) {
+				rest = rest.substring(match[0].length);
+			}
+			return match ? match[0].trim().replace(/\s+/g, " ").toLowerCase() : "";
+		};
+		var list = function () {
+			var items = splitList(rest);
+			if (items === null) {
+				return [];
+			}
+			rest = items.rest.trim();
+			return items.list;
+		};
+		if (word("of")) {
+			var of = /^[\s\S]*?(?=\s+(?:for|default)(?![A-Za-z0-9_$])|$)/i.exec(rest)[0];
+			definition.of = of.trim();
+			rest = rest.substring(of.length).trim();
+		}
+		if (word("for\\s+values")) {
+			if (word("from")) {
+				definition.bounds = { kind: "range", from: list(), to: [] };
+				if (word("to")) {
+					definition.bounds.to = list();
+				}
+			} else if (word("in")) {
+				definition.bounds = { kind: "list", values: list() };
+			} else if (word("with")) {
+				var hash = { kind: "hash", modulus: "", remainder: "" };
+				list().forEach(function (item) {
+					var match = /^(modulus|remainder)\s+(\S+)$/i.exec(item);
+					if (match) {
+						hash[match[1].toLowerCase()] = match[2];
+					}
+				});
+				definition.bounds = hash;
+			}
+		} else if (word("default")) {
+			definition.isDefault = true;
+		}
+		if (word("partition\\s+by")) {
+			var key = /^[\s\S]*?(?=\s+tablespace(?![A-Za-z0-9_$])|$)/i.exec(rest)[0];
+			rest = rest.substring(key.length).trim();
+			definition.partitionBy = this.parsePartitionKey(key);
+		}
+		if (word("tablespace")) {
+			var tablespace = /^[^\s]+\s*/.exec(rest);
+			definition.tablespace = tablespace ? tablespace[0].trim() : "";
+			rest = rest.substring(tablespace ? tablespace[0].length : 0);
+		}
+		definition.unknown = rest;
+		return definition;
+	}
+
+	/**
+	 * Return the partitions declared by the `partition:<name>` tags of an Entity, created as
+	 * tables of the Entity schema
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, tableName: string, definition: Object, owner: type.Tag}>}
+	 */
+	getPartitions(elem, options) {
+		var self = this;
+		var schemaName = self.quoteName(self.schemaName(elem._parent, options), options);
+		var partitions = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*partition\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
+			}
+			var name = match[1].trim();
+			partitions.push({
+				name: name,
+				tableName: schemaName + "." + self.objectName([name], options),
+				definition: self.parsePartitionDefinition(tag.value),
+				owner: tag
+			});
+		});
+		return partitions;
+	}
+
+	/**
+	 * Return the partition key clause of a partitioned table or partition, the keys naming
+	 * the columns by their model or generated names, the expressions being kept as they are
+	 * @param {{strategy: string, keys: Array.<string>}} key
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	partitionKey(key, elem, options) {
+		var self = this;
+		var keys = key.keys.map(function (name) {
+			var col = self.findColumn(elem, name, options);
+			return col ? self.columnName(col, options) : name;
+		});
+		return "PARTITION BY " + key.strategy.toUpperCase() + " (" + keys.join(", ") + ")";
+	}
+
+	/**
+	 * Write the partitions of a table, the sub-partitioned ones before their own partitions;
+	 * they are dropped along with the table
+	 * @param {CodeWriter} codeWriter
+	 * @param {type.ERDEntity} elem
+	 * @param {string} table qualified table name
+	 * @param {Object} tableSnapshot
+	 * @param {Object} options
+	 */
+	writePartitions(codeWriter, elem, table, tableSnapshot, options) {
+		var self = this;
+		var partitions = self.getPartitions(elem, options);
+		var written = [];
+		var find = function (name) {
+			return partitions.find(function (p) { return p.name.toLowerCase() === name.toLowerCase(); });
+		};
+		tableSnapshot.partitions = [];
+		for (var progress = true; progress;) {
+			progress = false;
+			partitions.forEach(function (partition) {
+				var definition = partition.definition;
+				var parent = definition.of ? find(definition.of) : null;
+				if (written.indexOf(partition) > -1 || (definition.of && written.indexOf(parent) == -1)) {
+					return;
+				}
+				var bounds = definition.bounds;
+				var values = function (list) {
+					return list.map(function (v) { return /^(minvalue|maxvalue)$/i.test(v) ? v.toUpperCase() : v; }).join(", ");
+				};
+				var clauses = [
+					definition.isDefault ? "DEFAULT" : "",
+					bounds && bounds.kind === "range" ? "FOR VALUES FROM (" + values(bounds.from) + ") TO (" + values(bounds.to) + ")" : "",
+					bounds && bounds.kind === "list" ? "FOR VALUES IN (" + values(bounds.values) + ")" : "",
+					bounds && bounds.kind === "hash" ? "FOR VALUES WITH (MODULUS " + bounds.modulus + ", REMAINDER " + bounds.remainder + ")" : "",
+					definition.partitionBy ? self.partitionKey(definition.partitionBy, elem, options) : "",
+					definition.tablespace ? "TABLESPACE " + definition.tablespace : ""
+				].filter(function (clause) { return !!clause; });
+				var partitionOf = "PARTITION OF " + (parent ? parent.tableName : table);
+				codeWriter.writeLine("CREATE TABLE " + (options.idempotent ? "IF NOT EXISTS " : "") + partition.tableName + " " + partitionOf);
 				codeWriter.indent();
-				codeWriter.writeLine(t.value);
+				clauses.forEach(function (clause, idx) {
+					codeWriter.writeLine(clause + (idx == clauses.length - 1 ? ";" : ""));
+				});
+				codeWriter.outdent();
 				codeWriter.writeLine();
+				tableSnapshot.partitions.push({
+					name: partition.tableName,
+					definition: "CREATE TABLE " + partition.tableName + " " + partitionOf + " " + clauses.join(" ")
+				});
+				written.push(partition);
+				progress = true;
+			});
+		}
+		partitions.forEach(function (partition) {
+			if (written.indexOf(partition) == -1) {
+				self.report(
+					"error",
+					"The partition " + partition.name + " of " + elem.name + " is a partition of " + partition.definition.of + ", which is not a partition of the table",
+					partition.owner
+				);
+			}
+		});
+	}
+
+	/**
+	 * Write Table
+	 * @param {Object} group
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @param {string} schemaName quoted schema name
+	 */
+	generateTable(group, elem, options, schemaName) {
+		var self = this;
+		var scripts = group.scripts;
+		var lines = [],
+			primaryKeys = [],
+			foreignKeys = [],
+			comments = [];
+
+		var codeWriter = scripts.create.section("tables"),
+			indexWriter = scripts.create.section("indexes"),
+			commentWriter = scripts.create.section("comments"),
+			insertWriter = scripts.create.section("inserts");
+
+		var tableName = self.tableName(elem, options);
+		var physicalTableName = self.physicalTableName(elem, options);
+		var table = schemaName + "." + tableName;
+		self.entityGroups.set(elem, group);
+
+		var tableSnapshot = {
+			schema: schemaName,
+			name: tableName,
+			columns: [],
+			constraints: [],
+			indexes: []
+		};
+		self.snapshot.tables[table] = tableSnapshot;
+
+		// column enumerations, the shared ones being created with their data model
+		self.tableColumns(elem).forEach(function (col) {
+			var enumType = self.enumType(col, options);
+			if (enumType && !enumType.shared && col.type.trim().toLowerCase() === "enum" && codegen.stringTag("enum", col)) {
+				self.writeEnum(scripts, enumType, options);
+			}
+		});
+
+		// Table
+		codeWriter.writeLine("CREATE TABLE " + (options.idempotent ? "IF NOT EXISTS " : "") + table + " (");
+		codeWriter.indent();
+		scripts.drop.section("tables").writeLine("DROP TABLE IF EXISTS " + table + " CASCADE;");
+
+		// Columns
+		self.tableColumns(elem).forEach(function (col) {
+			var column = self.columnName(col, options);
+			if (column) {
+				if (col.primaryKey) {
+					primaryKeys.push(col);
+				} else if (col.foreignKey) {
+					foreignKeys.push(col);
+				}
+			}
+
+			var defaultValue = self.columnDefault(col, options);
+			if (column) {
+				var _type = self.dataType(col, options);
+				var identity = self.identity(col, options);
+				var expression = self.generatedExpression(col);
+				tableSnapshot.columns.push({
+					name: column,
+					type: _type,
+					notNull: !!(col.primaryKey || !col.nullable || identity),
+					default: defaultValue && _type.indexOf("serial") == -1 && !identity && !expression
+						? defaultValue.substring(" DEFAULT ".length)
+						: null,
+					identity: identity,
+					generated: expression || null
+				});
+				lines.push(self.columnDeclaration(column, col, comments, defaultValue, options));
+			}
+		});
+
+		var columnNames = function (cols) {
+			return cols.map(function (col) { return self.columnName(col, options); }).join(", ");
+		};
+		var baseColumnNames = function (cols) {
+			return cols.map(function (col) { return self.baseColumnName(col, options); });
+		};
+
+		// Primary Keys
+		if (primaryKeys.length > 0) {
+			var pkName = self.objectName([physicalTableName, "pkey"], options);
+			lines.push("CONSTRAINT " + pkName + " PRIMARY KEY (" + columnNames(primaryKeys) + ")");
+			tableSnapshot.constraints.push({
+				name: pkName,
+				kind: "primary",
+				definition: "PRIMARY KEY (" + columnNames(primaryKeys) + ")"
+			});
+		}
+
+		// Check constraints
+		var checkComments = [];
+		self.getCheckConstraints(elem, options).forEach(function (ctr) {
+			if (!ctr.expression) {
+				return;
+			}
+			var checkName = self.quoteName(ctr.name, options);
+			var definition = "CHECK (" + ctr.expression + ")";
+			lines.push("CONSTRAINT " + checkName + " " + definition);
+			tableSnapshot.constraints.push({
+				name: checkName,
+				kind: "check",
+				definition: definition,
+				notValid: ctr.notValid
+			});
+			if (ctr.documentation) {
+				checkComments.push({
+					name: checkName,
+					doc: codegen.asComment(ctr.documentation)
+				});
+			}
+		});
+
+		// Write lines
+		for (var i = 0, len = lines.length; i < len; i++) {
+			codeWriter.writeLine(lines[i] + (i < len - 1 ? "," : ""));
+		}
+
+		codeWriter.outdent();
+		var partitionKey = self.getPartitionKey(elem);
+		if (partitionKey) {
+			tableSnapshot.partitionBy = self.partitionKey(partitionKey, elem, options);
+			codeWriter.writeLine(") " + tableSnapshot.partitionBy + ";");
+			codeWriter.writeLine();
+			self.writePartitions(codeWriter, elem, table, tableSnapshot, options);
+		} else {
+			codeWriter.writeLine(");");
+			codeWriter.writeLine();
+		}
+
+		// Unique constraints
+		self.getUniqueConstraints(elem, options).forEach(function (ctr) {
+			var uniqueName = ctr.name
+				? self.quoteName(self.physicalName(ctr.name, options), options)
+				: self.objectName([physicalTableName].concat(baseColumnNames(ctr.columns), ["key"]), options);
+			var definition =
+				"UNIQUE" +
+				(ctr.nullsNotDistinct ? " NULLS NOT DISTINCT" : "") +
+				" (" + columnNames(ctr.columns) + ")" +
+				(ctr.deferrable ? " DEFERRABLE" : "") +
+				(ctr.initiallyDeferred ? " INITIALLY DEFERRED" : "");
+			self.writeGuarded(indexWriter, options, function () {
+				indexWriter.writeLine("ALTER TABLE " + table);
+				indexWriter.indent();
+				indexWriter.writeLine("ADD CONSTRAINT " + uniqueName + " " + definition + ";");
+				indexWriter.outdent();
+			});
+			indexWriter.writeLine();
+			tableSnapshot.constraints.push({
+				name: uniqueName,
+				kind: "unique",
+				definition: definition
+			});
+		});
+
+		// Foreign keys, the columns referencing the same key of a table being grouped
+		if (options.foreignKeyConstraint) {
+			self.getForeignKeys(elem, options).forEach(function (fk) {
+				var refTable = self.qualifiedTableName(fk.refEntity, options);
+				var fkName = self.quoteName(self.foreignKeyName(physicalTableName, baseColumnNames(fk.columns), options), options);
+				var definition =
+					"FOREIGN KEY (" + columnNames(fk.columns) + ") REFERENCES " + refTable +
+					"(" + columnNames(fk.refColumns) + ")" + self.foreignKeyOptions(fk, elem).clauses;
+
+				tableSnapshot.constraints.push({
+					name: fkName,
+					kind: "foreign",
+					definition: definition
+				});
+				self.references.push({
+					group: group,
+					entity: elem,
+					refEntity: fk.refEntity,
+					sql: "ALTER TABLE " + table + " ADD CONSTRAINT " + fkName + " " + definition + ";"
+				});
+			});
+		}
+
+		// generate simple FK indexes
+		if (foreignKeys.length > 0) {
+			for (var i = 0, len = foreignKeys.length; i < len; i++) {
+				var indexName = self.objectName([physicalTableName].concat(baseColumnNames([foreignKeys[i]]), ["idx"]), options);
+				indexWriter.writeLine("CREATE INDEX " + (options.idempotent ? "IF NOT EXISTS " : "") + indexName + " ON " + table);
+				indexWriter.indent();
+				indexWriter.writeLine("(" + columnNames([foreignKeys[i]]) + ");");
+				indexWriter.outdent();
+				tableSnapshot.indexes.push({
+					name: indexName,
+					definition: "CREATE INDEX " + indexName + " ON " + table + " (" + columnNames([foreignKeys[i]]) + ")"
+				});
+			}
+			indexWriter.writeLine();
+		}
+
+		self.writeUserIndexes(indexWriter, scripts.drop.section("indexes"), table, schemaName, elem, tableSnapshot, options);
+
+		// the sequences of the data model owned by the table columns
+		var dataModel = self.dataModelOf(elem);
+		(dataModel ? self.getSequences(dataModel, options) : []).forEach(function (sequence) {
+			var owner = self.sequenceOwner(sequence, dataModel, options);
+			if (owner && owner.entity === elem) {
+				indexWriter.writeLine("ALTER SEQUENCE " + sequence.sequenceName + " OWNED BY " + table + "." + self.columnName(owner.column, options) + ";");
+				indexWriter.writeLine();
+			}
+		});
+
+		var documentation = elem.documentation;
+		if (!!documentation) {
+			commentWriter.writeLine("COMMENT ON TABLE " + table);
+			commentWriter.indent();
+			commentWriter.writeLine("IS " + codegen.asComment(documentation) + ";");
+			commentWriter.outdent();
+		}
+		comments.forEach(function (comment) {
+			commentWriter.writeLine("COMMENT ON COLUMN " + table + "." + comment.col);
+			commentWriter.indent();
+			commentWriter.writeLine("IS " + comment.doc + ";");
+			commentWriter.outdent();
+		});
+		checkComments.forEach(function (comment) {
+			commentWriter.writeLine("COMMENT ON CONSTRAINT " + comment.name + " ON " + table);
+			commentWriter.indent();
+			commentWriter.writeLine("IS " + comment.doc + ";");
+			commentWriter.outdent();
+		});
+		(!documentation && comments.length == 0 && checkComments.length == 0) || commentWriter.writeLine();
+
+		self.getTriggers(elem, options).forEach(function (trigger) {
+			self.writeTrigger(scripts.create.section("triggers"), scripts.drop.section("triggers"), trigger, elem, table, options);
+		});
+
+		if (options.tableInserts) {
+			self.writeSeedData(insertWriter, table, elem, options);
+		}
+
+		return true;
+	}
+
+	generateDatabase(elem, options) {
+		if (elem instanceof type.Project) {
+			var tag = codegen.tag("database", elem);
+			var dbName = "";
+			if (tag) {
+				dbName = tag.value;
+			}
+			if (!dbName) {
+				dbName = elem.name;
+			}
+			dbName = this.physicalSchemaName(dbName, options);
+			if (!codegen.isValidIdentifier(dbName)) {
+				this.report(
+					"warning",
+					"Database name is not valid: " + dbName + ", please edit the database tag for " + elem.name,
+					elem
+				);
+				return false;
+			}
+			var codeWriter = new codegen.CodeWriter(this.getIndentString(options));
+			codeWriter.writeLine("-- Database: " + elem.name);
+			codeWriter.writeLine("-- Author: " + elem.author);
+			var physicalName = dbName;
+			dbName = this.quoteName(dbName, options);
+			var createWriter = new codegen.CodeWriter(this.getIndentString(options));
+			createWriter.writeLine("CREATE DATABASE " + dbName);
+			createWriter.indent();
+			createWriter.writeLine("WITH OWNER = " + options.owner);
+			createWriter.indent();
+			createWriter.writeLine("ENCODING = '" + options.encoding + "'");
+			createWriter.writeLine("TABLESPACE = " + options.tablespace);
+
+			var collation = options.collation;
+			if (collation !== "default") {
+				createWriter.writeLine("LC_COLLATE = '" + collation + "'");
+				createWriter.writeLine("LC_CTYPE = '" + collation + "'");
+			}
+			createWriter.writeLine("CONNECTION LIMIT = -1");
+			if (options.idempotent) {
+				// CREATE DATABASE runs neither in a transaction nor in a block, psql runs it when missing
+				codeWriter.writeLine("SELECT '" + createWriter.getData().replace(/\s*$/, "").replace(/'/g, "''") + "'");
+				codeWriter.writeLine("WHERE NOT EXISTS (SELECT FROM pg_database WHERE datname = '" + physicalName.replace(/'/g, "''") + "')\\gexec");
+			} else {
+				codeWriter.writeLine(createWriter.getData().replace(/\s*$/, "") + ";");
+			}
+			var documentation = elem.documentation;
+			if (!!documentation) {
 				codeWriter.writeLine();
-				codeWriter.outdent();
+				codeWriter.writeLine("COMMENT ON DATABASE " + dbName);
+				codeWriter.indent();
+				codeWriter.writeLine("IS " + codegen.asComment(documentation) + ";");
+			}
+
+			this.addScript("db_create.sql", this.scriptData(codeWriter.getData(), options, false), options);
+
+			codeWriter = new codegen.CodeWriter(this.getIndentString(options));
+			codeWriter.writeLine("DROP DATABASE " + (options.idempotent ? "IF EXISTS " : "") + dbName + ";");
+
+			if (options.dropStatements) {
+				this.addScript("db_drop.sql", this.scriptData(codeWriter.getData(), options, false), options);
+			}
+			return true;
+		} else {
+			this.report("error", "No project found, database DDL generator expects a main project", elem);
+			return false;
+		}
+	}
+
+	schemaName(elem, options) {
+		if (elem instanceof type.ERDDiagram) {
+			elem = elem._parent;
+		}
+		if (!(elem instanceof type.ERDDataModel)) {
+			return "public";
+		}
+		var dbName = this.physicalSchemaName(codegen.stringTag("schema", elem), options);
+		if (!dbName) {
+			dbName = "public";
+		} else if (!codegen.isValidIdentifier(dbName)) {
+			this.report("warning", "Schema name not valid: " + dbName, elem);
+		}
+		return dbName;
+	}
+
+	generateSchema(elem, options) {
+		var self = this;
+		var group = self.openGroup("schema", [], options);
+		var codeWriter = group.scripts.create.section("schemas");
+		var dropWriter = group.scripts.drop.section("schemas");
+		var schemas = [];
+		var tables = [],
+			views = [];
+		var dataModels = elem.ownedElements.filter(function (e) { return e instanceof type.ERDDataModel; });
+		var dataModelName = function (e) {
+			return codegen.replaceAll(e.name, " ", "_").toLowerCase();
+		};
+		// the routines and tables may use the enumerations, sequences and functions of any data model
+		var typeGroups = dataModels.map(function (e) {
+			return self.generateTypes(e, options, dataModelName(e), group);
+		}).concat(dataModels.map(function (e) {
+			return self.generateSequences(e, options, dataModelName(e), group);
+		}));
+		var functionGroups = dataModels.map(function (e) {
+			return self.generateFunctions(e, options, dataModelName(e), [group].concat(typeGroups));
+		});
+		var procedureGroups = dataModels.map(function (e) {
+			return self.generateProcedures(e, options, dataModelName(e), [group].concat(typeGroups, functionGroups));
+		});
+		var requires = [group].concat(typeGroups, functionGroups, procedureGroups);
+		elem.ownedElements.forEach(function (e) {
+			if (e instanceof type.ERDDataModel) {
+				var schema = self.schemaName(e, options);
+				var schemaName = self.quoteName(schema, options);
+				self.collectTables(e, options, schemaName, dataModelName(e), requires, tables, views);
+				if (schema !== "public" && schemas.indexOf(schema) == -1) {
+					schemas.push(schema);
+					codeWriter.writeLine("-- Schema for: " + e.name);
+					codeWriter.writeLine("CREATE SCHEMA " + (options.idempotent ? "IF NOT EXISTS " : "") + schemaName);
+					codeWriter.indent();
+					codeWriter.writeLine("AUTHORIZATION " + options.owner + ";");
+					codeWriter.outdent();
+					var documentation = e.documentation;
+					if (documentation) {
+						codeWriter.writeLine();
+						codeWriter.writeLine("COMMENT ON SCHEMA " + schemaName);
+						codeWriter.indent();
+						codeWriter.writeLine("IS " + codegen.asComment(documentation) + ";");
+						codeWriter.outdent();
+					}
+					dropWriter.writeLine("DROP SCHEMA " + (options.idempotent ? "IF EXISTS " : "") + schemaName + ";");
+				}
+			}
+		});
+		self.generateTables(tables, options);
+		// the views may query the tables of any data model
+		self.generateViews(views, options, self.groups.slice());
+		// the privileges and policies apply to the objects of every other group
+		self.generateSecurity(elem, options, self.groups.slice());
+
+		return true;
+	}
+
+	/**
+	 * Write the enumeration types shared by the tables, declared by the data model
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @param {string} dataModelName
+	 * @param {Object} schemaGroup
+	 * @return {Object} the types group
+	 */
+	generateTypes(elem, options, dataModelName, schemaGroup) {
+		var self = this;
+
+		var group = self.openGroup(dataModelName + "_type", [schemaGroup], options);
+		self.getEnums(elem, options).forEach(function (enumType) {
+			if (enumType.values.length > 0) {
+				self.writeEnum(group.scripts, enumType, options);
+			}
+		});
+		return group;
+	}
+
+	/**
+	 * Parse the value of a data model `sequence:<name>` tag, made of the `CREATE SEQUENCE` clauses:
+	 * `[as <type>] [increment [by] <n>] [minvalue <n>] [maxvalue <n>] [start [with] <n>] [cache <n>]
+	 * [[no] cycle] [owned by <table>.<column>]`
+	 * @param {string} value
+	 * @return {{type: string, increment: string, minValue: string, maxValue: string, start: string, cache: string, cycle: boolean, ownedBy: string, unknown: string}}
+	 */
+	parseSequenceDefinition(value) {
+		var rest = (value || "").trim();
+		var definition = { type: "", increment: "", minValue: "", maxValue: "", start: "", cache: "", cycle: false, ownedBy: "", unknown: "" };
+		var word = function (expected) {
+			var match = new RegExp("^(?:" + expected + ")(?![A-Za-z0-9_$])\\s*", "i").exec(rest);
+			if (match) {
+				rest = rest.substring(match[0].length);
+			}
+			return match ? match[0].trim().toLowerCase() : "";
+		};
+		// the values are checked by the validation
+		var token = function () {
+			var match = /^[^\s]+\s*/.exec(rest);
+			rest = match ? rest.substring(match[0].length) : rest;
+			return match ? match[0].trim() : "";
+		};
+		for (var previous = null; rest && rest !== previous;) {
+			previous = rest;
+			if (word("as")) {
+				definition.type = token();
+			} else if (word("increment")) {
+				word("by");
+				definition.increment = token();
+			} else if (word("minvalue")) {
+				definition.minValue = token();
+			} else if (word("maxvalue")) {
+				definition.maxValue = token();
+			} else if (word("start")) {
+				word("with");
+				definition.start = token();
+			} else if (word("cache")) {
+				definition.cache = token();
+			} else if (word("cycle")) {
+				definition.cycle = true;
+			} else if (word("no")) {
+				// the defaults
+				word("minvalue|maxvalue|cycle");
+			} else if (word("owned\\s+by")) {
+				definition.ownedBy = rest.trim();
+				rest = "";
+			}
+		}
+		definition.unknown = rest;
+		return definition;
+	}
+
+	/**
+	 * Return the sequences declared by the `sequence:<name>` tags of a data model; they are
+	 * created in the data model schema
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, sequenceName: string, definition: Object, owner: type.Tag}>}
+	 */
+	getSequences(elem, options) {
+		var self = this;
+		var schemaName = self.quoteName(self.schemaName(elem, options), options);
+		var sequences = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*sequence\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
+			}
+			var name = match[1].trim();
+			sequences.push({
+				name: name,
+				sequenceName: schemaName + "." + self.objectName([name], options),
+				definition: self.parseSequenceDefinition(tag.value),
+				owner: tag
+			});
+		});
+		return sequences;
+	}
+
+	/**
+	 * Return the column owning a sequence, named by its table and column, model or generated
+	 * names, among the entities of the sequence data model
+	 * @param {Object} sequence
+	 * @param {type.ERDDataModel} dataModel
+	 * @param {Object} options
+	 * @return {{entity: type.ERDEntity, column: type.ERDColumn}} null when not owned or not found
+	 */
+	sequenceOwner(sequence, dataModel, options) {
+		var self = this;
+		var ownedBy = sequence.definition.ownedBy;
+		var dot = ownedBy.indexOf(".");
+		if (dot == -1) {
+			return null;
+		}
+		var tableName = ownedBy.substring(0, dot).trim().toLowerCase();
+		var entities = [];
+		dataModel.ownedElements.forEach(function (e) {
+			entities = entities.concat(e instanceof type.ERDDiagram ? e.ownedElements : [e]);
+		});
+		var entity = entities.find(function (e) {
+			return e instanceof type.ERDEntity && !self.viewDefinition(e) &&
+				((e.name || "").toLowerCase() === tableName || self.physicalTableName(e, options).toLowerCase() === tableName);
+		});
+		var column = entity && self.findColumn(entity, ownedBy.substring(dot + 1).trim(), options);
+		return column ? { entity: entity, column: column } : null;
+	}
+
+	/**
+	 * Return the sequence a column default takes its values from: the `default` tag valued
+	 * `sequence:<name>`, the name being qualified by the schema for the sequences of other data models
+	 * @param {type.ERDColumn} elem
+	 * @param {Object} options
+	 * @return {{name: string, sequence: Object}} the sequence name and the sequence, null if not found; null for the other columns
+	 */
+	defaultSequence(elem, options) {
+		var match = /^\s*sequence\s*:(.*)$/i.exec(codegen.stringTag("default", elem));
+		if (!match) {
+			return null;
+		}
+		var name = match[1].trim();
+		var qualified = this.qualifiedDataModel(elem, name, options);
+		var sequence = qualified.dataModel && this.getSequences(qualified.dataModel, options).find(function (seq) {
+			return seq.name.toLowerCase() === qualified.name.toLowerCase();
+		});
+		return { name: name, sequence: sequence || null };
+	}
+
+	/**
+	 * Write the sequences declared by the data model, created before the tables
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @param {string} dataModelName
+	 * @param {Object} schemaGroup
+	 * @return {Object} the sequences group
+	 */
+	generateSequences(elem, options, dataModelName, schemaGroup) {
+		var self = this;
+
+		var group = self.openGroup(dataModelName + "_sequence", [schemaGroup], options);
+		var codeWriter = group.scripts.create.section("sequences");
+		self.getSequences(elem, options).forEach(function (sequence) {
+			var definition = sequence.definition;
+			var clauses = [
+				definition.type ? "AS " + typeMapping.mapType(self.typeMapping(options), definition.type, "") : "",
+				definition.increment ? "INCREMENT BY " + definition.increment : "",
+				definition.minValue ? "MINVALUE " + definition.minValue : "",
+				definition.maxValue ? "MAXVALUE " + definition.maxValue : "",
+				definition.start ? "START WITH " + definition.start : "",
+				definition.cache ? "CACHE " + definition.cache : "",
+				definition.cycle ? "CYCLE" : ""
+			].filter(function (clause) { return !!clause; });
+			codeWriter.writeLine("CREATE SEQUENCE " + (options.idempotent ? "IF NOT EXISTS " : "") + sequence.sequenceName + (clauses.length > 0 ? "" : ";"));
+			codeWriter.indent();
+			clauses.forEach(function (clause, idx) {
+				codeWriter.writeLine(clause + (idx == clauses.length - 1 ? ";" : ""));
+			});
+			codeWriter.outdent();
+			codeWriter.writeLine();
+			group.scripts.drop.section("sequences").writeLine("DROP SEQUENCE IF EXISTS " + sequence.sequenceName + " CASCADE;");
+		});
+		return group;
+	}
+
+	/**
+	 * Parse the value of a data model `function:<name>` or `procedure:<name>` tag, made of the
+	 * `CREATE FUNCTION` clauses: `[(<parameter>, ...)] [returns [setof] <type> | returns table (<column> <type>, ...)]
+	 * [language <name>] [immutable | stable | volatile] [security definer | security invoker] as <body>`
+	 * @param {string} value
+	 * @return {{parameters: Array.<Object>, returns: Object, language: string, volatility: string, security: string, body: string, unknown: string}}
+	 */
+	parseRoutineDefinition(value) {
+		var rest = (value || "").trim();
+		var definition = { parameters: [], returns: null, language: "", volatility: "", security: "", body: "", unknown: "" };
+		var word = function (expected) {
+			var match = new RegExp("^(?:" + expected + ")(?![A-Za-z0-9_$])\\s*", "i").exec(rest);
+			if (match) {
+				rest = rest.substring(match[0].length);
+			}
+			return match ? match[0].trim().toLowerCase() : "";
+		};
+		var list = function () {
+			var items = splitList(rest);
+			if (items === null) {
+				return null;
+			}
+			rest = items.rest.trim();
+			return items.list.map(parseParameter);
+		};
+		definition.parameters = list() || [];
+		// the clauses after the parameters may come in any order
+		for (var previous = null; rest && rest !== previous;) {
+			previous = rest;
+			if (word("returns")) {
+				var setof = !!word("setof");
+				var table = !setof && !!word("table");
+				var columns = table ? list() || [] : null;
+				var returnType = table ? "" : (/^[^\s(]+(?:\s*\([^)]*\))?(?:\s*\[\s*\d*\s*\])*/.exec(rest) || [""])[0];
+				rest = rest.substring(returnType.length).trim();
+				definition.returns = { setof: setof, type: returnType, table: columns };
+			} else if (word("language")) {
+				var language = /^[A-Za-z_][A-Za-z0-9_]*\s*/.exec(rest);
+				if (language) {
+					definition.language = language[0].trim().toLowerCase();
+					rest = rest.substring(language[0].length);
+				}
+			} else if (word("security")) {
+				definition.security = word("definer|invoker");
+			} else if (/^(?:immutable|stable|volatile)(?![A-Za-z0-9_$])/i.test(rest)) {
+				definition.volatility = word("immutable|stable|volatile");
+			} else if (word("as")) {
+				definition.body = rest;
+				rest = "";
+			}
+		}
+		definition.unknown = rest;
+		return definition;
+	}
+
+	/**
+	 * Return the routines declared by the `function:<name>` and `procedure:<name>` tags of a data
+	 * model; they are created in the data model schema
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @return {Array.<{kind: string, name: string, routineName: string, definition: Object, owner: type.Tag}>}
+	 */
+	getRoutines(elem, options) {
+		var self = this;
+		var schemaName = self.quoteName(self.schemaName(elem, options), options);
+		var routines = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*(function|procedure)\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
+			}
+			var name = match[2].trim();
+			routines.push({
+				kind: match[1].toLowerCase(),
+				name: name,
+				routineName: schemaName + "." + self.objectName([name], options),
+				definition: self.parseRoutineDefinition(tag.value),
+				owner: tag
+			});
+		});
+		return routines;
+	}
+
+	/**
+	 * Return the PostgreSQL type of a routine parameter or result, a StarUML type with an optional
+	 * length and array suffix mapped as the column types, an enumeration type of the data model or
+	 * a pseudo type
+	 * @param {string} text such as `VARCHAR(50)`, `INTEGER[]` or `void`
+	 * @param {type.ERDDataModel} dataModel
+	 * @param {Object} options
+	 * @return {{type: string, resolved: boolean}} the unresolved types being kept as is
+	 */
+	routineType(text, dataModel, options) {
+		var match = /^(.*?)\s*(?:\(([^)]*)\))?\s*((?:\[\s*\d*\s*\])*)$/.exec((text || "").trim());
+		if (PSEUDO_TYPES.indexOf(match[1].toLowerCase()) > -1 && !match[2]) {
+			return { type: match[1].toLowerCase() + match[3].replace(/\s+/g, ""), resolved: true };
+		}
+		// the parameter is typed as a column of the data model would be
+		var column = { type: match[1] + match[3], length: match[2] || "", tags: [], _parent: dataModel };
+		var enumType = this.enumType(column, options);
+		return {
+			type: this.dataType(column, options),
+			resolved: !!enumType || !!typeMapping.findType(this.typeMapping(options), column.type)
+		};
+	}
+
+	/**
+	 * Return a routine parameter or result column, as declared by the routine definition
+	 * @param {{mode: string, name: string, type: string, default: string}} parameter
+	 * @param {type.ERDDataModel} dataModel
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	parameterDeclaration(parameter, dataModel, options) {
+		return [
+			parameter.mode.toUpperCase(),
+			parameter.name,
+			this.routineType(parameter.type, dataModel, options).type,
+			parameter.default ? "DEFAULT " + parameter.default : ""
+		].filter(function (part) { return !!part; }).join(" ");
+	}
+
+	/**
+	 * Write a routine creation, and its removal by its exact signature
+	 * @param {{create: DDLScript, drop: DDLScript}} scripts
+	 * @param {Object} routine
+	 * @param {type.ERDDataModel} dataModel
+	 * @param {Object} options
+	 */
+	writeRoutine(scripts, routine, dataModel, options) {
+		var self = this;
+		var definition = routine.definition;
+		if (!definition.body) {
+			self.report("error", "The " + routine.kind + " " + routine.name + " has no body", routine.owner);
+			return;
+		}
+		var section = routine.kind === "function" ? "functions" : "procedures";
+		var codeWriter = scripts.create.section(section);
+		var parameters = definition.parameters.map(function (parameter) {
+			return self.parameterDeclaration(parameter, dataModel, options);
+		});
+		codeWriter.writeLine("CREATE OR REPLACE " + routine.kind.toUpperCase() + " " + routine.routineName + "(" + parameters.join(", ") + ")");
+		codeWriter.indent();
+		var returns = definition.returns;
+		if (routine.kind === "function") {
+			var outputs = definition.parameters.filter(function (parameter) { return /out/.test(parameter.mode); });
+			if (returns && returns.table) {
+				var columns = returns.table.map(function (column) {
+					return self.parameterDeclaration(column, dataModel, options);
+				});
+				codeWriter.writeLine("RETURNS TABLE (" + columns.join(", ") + ")");
+			} else if (returns) {
+				codeWriter.writeLine("RETURNS " + (returns.setof ? "SETOF " : "") + self.routineType(returns.type, dataModel, options).type);
+			} else if (outputs.length == 0) {
+				codeWriter.writeLine("RETURNS void");
+			}
+		}
+		codeWriter.writeLine("LANGUAGE " + (definition.language || "plpgsql"));
+		definition.volatility && codeWriter.writeLine(definition.volatility.toUpperCase());
+		definition.security && codeWriter.writeLine("SECURITY " + definition.security.toUpperCase());
+		codeWriter.outdent();
+		var body = definition.body;
+		if (/^\$([A-Za-z_]*)\$[\s\S]*\$\1\$\s*;?$/.test(body)) {
+			codeWriter.writeLine("AS " + body.replace(/\s*;$/, "") + ";");
+		} else {
+			var quote = body.indexOf("$$") == -1 ? "$$" : "$body$";
+			codeWriter.writeLine("AS " + quote);
+			codeWriter.writeLine(body);
+			codeWriter.writeLine(quote + ";");
+		}
+		codeWriter.writeLine();
+
+		scripts.drop.section(section).writeLine(
+			"DROP " + routine.kind.toUpperCase() + " IF EXISTS " + routine.routineName + self.routineSignature(routine, dataModel, options) + " CASCADE;"
+		);
+	}
+
+	/**
+	 * Return the signature identifying a routine: the types of its arguments, the output ones
+	 * of the procedures included
+	 * @param {Object} routine
+	 * @param {type.ERDDataModel} dataModel
+	 * @param {Object} options
+	 * @return {string} the parenthesized argument types
+	 */
+	routineSignature(routine, dataModel, options) {
+		var self = this;
+		var signature = routine.definition.parameters
+			.filter(function (parameter) { return routine.kind === "procedure" || parameter.mode !== "out"; })
+			.map(function (parameter) {
+				var mode = parameter.mode && parameter.mode !== "in" ? parameter.mode.toUpperCase() + " " : "";
+				return mode + self.routineType(parameter.type, dataModel, options).type;
+			});
+		return "(" + signature.join(", ") + ")";
+	}
+
+	/**
+	 * Write the functions declared by the data model
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @param {string} dataModelName
+	 * @param {Array.<Object>} requires the schema and types groups
+	 * @return {Object} the functions group
+	 */
+	generateFunctions(elem, options, dataModelName, requires) {
+		var self = this;
+
+		var group = self.openGroup(dataModelName + "_function", requires, options);
+		self.getRoutines(elem, options).forEach(function (routine) {
+			if (routine.kind === "function") {
+				self.writeRoutine(group.scripts, routine, elem, options);
+			}
+		});
+		return group;
+	}
+
+	/**
+	 * Write the procedures declared by the data model
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @param {string} dataModelName
+	 * @param {Array.<Object>} requires the schema, types and functions groups
+	 * @return {Object} the procedures group
+	 */
+	generateProcedures(elem, options, dataModelName, requires) {
+		var self = this;
+
+		var group = self.openGroup(dataModelName + "_procedure", requires, options);
+		self.getRoutines(elem, options).forEach(function (routine) {
+			if (routine.kind === "procedure") {
+				self.writeRoutine(group.scripts, routine, elem, options);
+			}
+		});
+		return group;
+	}
+
+	/**
+	 * Return the definition of a view: an Entity with a `view` tag, holding its query. The
+	 * `materialized` tag, valued `with data` or `with no data`, makes it a materialized view and
+	 * the `check_option` tag, valued `local` or `cascaded`, checks the rows written through it.
+	 * @param {type.ERDEntity} elem
+	 * @return {{query: string, materialized: boolean, data: string, checkOption: string}} null for the tables
+	 */
+	viewDefinition(elem) {
+		var tag = codegen.tag("view", elem);
+		if (!tag) {
+			return null;
+		}
+		var materialized = codegen.tag("materialized", elem);
+		return {
+			query: (tag.value || "").trim().replace(/\s*;\s*$/, ""),
+			materialized: !!materialized,
+			data: ((materialized && materialized.value) || "with data").trim().replace(/\s+/g, " ").toLowerCase(),
+			checkOption: codegen.stringTag("check_option", elem).trim().toLowerCase()
+		};
+	}
+
+	/**
+	 * Return the views a view query refers to by name, qualified by their schema or, in the
+	 * same schema, not
+	 * @param {type.ERDEntity} elem
+	 * @param {Array.<type.ERDEntity>} views
+	 * @param {Object} options
+	 * @return {Array.<type.ERDEntity>}
+	 */
+	viewDependencies(elem, views, options) {
+		var self = this;
+		var schema = self.schemaName(elem._parent, options);
+		// the names within literals and comments do not count
+		var query = self.viewDefinition(elem).query.replace(/'(?:[^']|'')*'|--[^\n]*|\/\*[\s\S]*?\*\//g, " ");
+		var escape = function (name) {
+			return name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		};
+		return views.filter(function (view) {
+			if (view === elem) {
+				return false;
+			}
+			var viewSchema = self.schemaName(view._parent, options);
+			var qualifier = "\"?" + escape(viewSchema) + "\"?\\s*\\.\\s*" + (viewSchema === schema ? "|" : "");
+			var name = new RegExp("(^|[^A-Za-z0-9_$.\"])(?:" + qualifier + ")\"?" + escape(self.physicalTableName(view, options)) + "\"?(?![A-Za-z0-9_$\"])", "i");
+			return name.test(query);
+		});
+	}
+
+	/**
+	 * Write a view or materialized view, along with its comments, its indexes and its triggers;
+	 * they are all removed along with the view
+	 * @param {CodeWriter} codeWriter
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @param {string} schemaName quoted schema name
+	 */
+	writeView(codeWriter, elem, options, schemaName) {
+		var self = this;
+		var definition = self.viewDefinition(elem);
+		var view = schemaName + "." + self.tableName(elem, options);
+		var kind = definition.materialized ? "MATERIALIZED VIEW" : "VIEW";
+		var columns = elem.columns.map(function (col) { return self.columnName(col, options); });
+		codeWriter.writeLine(
+			(definition.materialized ? "CREATE MATERIALIZED VIEW IF NOT EXISTS " : "CREATE OR REPLACE VIEW ") + view +
+			(columns.length > 0 ? " (" + columns.join(", ") + ")" : "") + " AS"
+		);
+		var suffix = definition.materialized
+			? definition.data.toUpperCase()
+			: definition.checkOption ? "WITH " + definition.checkOption.toUpperCase() + " CHECK OPTION" : "";
+		// a query ending with a line comment gets its semicolon on the next line
+		var end = suffix ? "\n" + suffix : /--[^\n]*$/.test(definition.query) ? "\n" : "";
+		codeWriter.writeLine(definition.query + end + ";");
+		codeWriter.writeLine();
+
+		var comments = [];
+		if (elem.documentation) {
+			comments.push({ on: kind + " " + view, doc: elem.documentation });
+		}
+		elem.columns.forEach(function (col) {
+			if (col.documentation) {
+				comments.push({ on: "COLUMN " + view + "." + self.columnName(col, options), doc: col.documentation });
+			}
+		});
+		comments.forEach(function (comment) {
+			codeWriter.writeLine("COMMENT ON " + comment.on);
+			codeWriter.indent();
+			codeWriter.writeLine("IS " + codegen.asComment(comment.doc) + ";");
+			codeWriter.outdent();
+		});
+		comments.length > 0 && codeWriter.writeLine();
+
+		if (definition.materialized) {
+			self.writeUserIndexes(codeWriter, null, view, schemaName, elem, null, options);
+		}
+		self.getTriggers(elem, options).forEach(function (trigger) {
+			self.writeTrigger(codeWriter, null, trigger, elem, view, options);
+		});
+	}
+
+	/**
+	 * Generate the views into a `<model name>_view` group per data model, deployed after the
+	 * tables; the views referring to other views come after them and are removed before them
+	 * @param {Array.<{entity: type.ERDEntity, schema: string, dataModelName: string}>} views
+	 * @param {Object} options
+	 * @param {Array.<Object>} requires groups to be deployed before the views
+	 */
+	generateViews(views, options, requires) {
+		var self = this;
+		var entities = views.map(function (view) { return view.entity; });
+		var groups = {};
+		views.forEach(function (view) {
+			groups[view.dataModelName] = groups[view.dataModelName] || self.openGroup(view.dataModelName + "_view", requires, options);
+			view.group = groups[view.dataModelName];
+		});
+		var dependencies = function (view) {
+			return self.viewDependencies(view.entity, entities, options).map(function (entity) {
+				return views[entities.indexOf(entity)];
+			});
+		};
+		var requiresGroup = function (group, required) {
+			return group === required || group.requires.some(function (g) { return requiresGroup(g, required); });
+		};
+
+		var sorted = codegen.topologicalSort(views, dependencies);
+		sorted.cycles.forEach(function (cycle) {
+			self.report("warning", "View dependency cycle: " + cycle.map(function (v) { return v.entity.name; }).join(" -> "), cycle[0].entity);
+		});
+		var generated = sorted.order.filter(function (view) { return self.isGenerated(view.entity); });
+		generated.forEach(function (view) {
+			dependencies(view).forEach(function (dep) {
+				// views of other data models, unless their group requires this one
+				if (!requiresGroup(dep.group, view.group)) {
+					view.group.requires.push(dep.group);
+				}
+			});
+			self.writeView(view.group.scripts.create.section("views"), view.entity, options, view.schema);
+		});
+		generated.slice().reverse().forEach(function (view) {
+			var kind = self.viewDefinition(view.entity).materialized ? "MATERIALIZED VIEW" : "VIEW";
+			view.group.scripts.drop.section("views").writeLine("DROP " + kind + " IF EXISTS " + view.schema + "." + self.tableName(view.entity, options) + ";");
+		});
+	}
+
+	/**
+	 * Parse the value of a project `role:<name>` tag, made of the role attributes:
+	 * `[[no]login] [[no]inherit] [[no]createdb] [[no]createrole] [[no]replication] [[no]bypassrls]
+	 * [connection limit <n>] [valid until '<timestamp>'] [in role <role>, ...]`; the passwords
+	 * are deliberately left out of the model
+	 * @param {string} value
+	 * @return {{attributes: Array.<string>, connectionLimit: string, validUntil: string, inRoles: Array.<string>, unknown: string}}
+	 */
+	parseRoleDefinition(value) {
+		var rest = (value || "").trim();
+		var definition = { attributes: [], connectionLimit: "", validUntil: "", inRoles: [], unknown: "" };
+		var word = function (expected) {
+			var match = new RegExp("^(?:" + expected + ")(?![A-Za-z0-9_$])\\s*", "i").exec(rest);
+			if (match) {
+				rest = rest.substring(match[0].length);
+			}
+			return match ? match[0].trim().toLowerCase() : "";
+		};
+		for (var previous = null; rest && rest !== previous;) {
+			previous = rest;
+			var attribute = word("(?:no)?(?:login|inherit|createdb|createrole|replication|bypassrls)");
+			if (attribute) {
+				definition.attributes.push(attribute);
+			} else if (word("connection\\s+limit")) {
+				var limit = /^[+-]?\d+\s*/.exec(rest);
+				definition.connectionLimit = limit ? limit[0].trim() : "";
+				rest = rest.substring(limit ? limit[0].length : 0);
+			} else if (word("valid\\s+until")) {
+				var until = /^'(?:[^']|'')*'\s*/.exec(rest);
+				definition.validUntil = until ? until[0].trim() : "";
+				rest = rest.substring(until ? until[0].length : 0);
+			} else if (word("in\\s+role")) {
+				definition.inRoles = enumValues(rest);
+				rest = "";
+			}
+		}
+		definition.unknown = rest;
+		return definition;
+	}
+
+	/**
+	 * Return the roles declared by the `role:<name>` tags of the project
+	 * @param {type.Project} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, roleName: string, definition: Object, owner: type.Tag}>}
+	 */
+	getRoles(elem, options) {
+		var self = this;
+		var roles = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*role\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
+			}
+			var name = match[1].trim();
+			roles.push({
+				name: name,
+				roleName: self.objectName([name], options),
+				definition: self.parseRoleDefinition(tag.value),
+				owner: tag
+			});
+		});
+		return roles;
+	}
+
+	/**
+	 * Return the role a privilege is granted to or a policy applies to, `public` standing for all roles
+	 * @param {string} name
+	 * @param {Object} options
+	 * @return {string}
+	 */
+	roleName(name, options) {
+		return /^public$/i.test(name) ? "PUBLIC" : this.objectName([name], options);
+	}
+
+	/**
+	 * Parse the value of a `grant:<role>` or `revoke:<role>` tag, privileges separated by
+	 * semicolons: `<privilege> [(<column>, ...)], ... [on <object>]`, the object being the
+	 * Entity itself, or for a data model `schema` (the default), `all tables`, `all sequences`,
+	 * `all functions`, `all procedures`, `sequence <name>`, `function <name>` or `procedure <name>`
+	 * @param {string} value
+	 * @return {Array.<{privileges: Array.<{privilege: string, columns: Array.<string>}>, object: string, name: string, unknown: string}>}
+	 */
+	parsePrivilegeDefinition(value) {
+		return (value || "").split(";").filter(function (text) {
+			return !!text.trim();
+		}).map(function (text) {
+			var match = /^([\s\S]*?)(?:\s+on\s+([\s\S]*))?$/i.exec(text.trim());
+			var grant = { privileges: [], object: "", name: "", unknown: "" };
+			(splitList("(" + match[1] + ")") || { list: [] }).list.forEach(function (item) {
+				var privilege = /^([A-Za-z][A-Za-z ]*?)\s*(\([\s\S]*\))?$/.exec(item);
+				if (!privilege) {
+					grant.unknown = grant.unknown || item;
+					return;
+				}
+				var columns = privilege[2] ? splitList(privilege[2]) : null;
+				grant.privileges.push({
+					privilege: privilege[1].toLowerCase().replace(/\s+/g, " ").replace(/^all privileges$/, "all"),
+					columns: columns ? columns.list : []
+				});
+			});
+			if (match[2]) {
+				var object = /^(schema|all\s+(?:tables|sequences|functions|procedures)|sequence|function|procedure)(?![A-Za-z0-9_$])\s*([\s\S]*)$/i.exec(match[2].trim());
+				if (object) {
+					grant.object = object[1].toLowerCase().replace(/\s+/g, " ");
+					grant.name = object[2].trim();
+				} else {
+					grant.unknown = grant.unknown || "on " + match[2].trim();
+				}
+			}
+			return grant;
+		});
+	}
+
+	/**
+	 * Return the privileges given by the `grant:<role>` tags, and taken back by the `revoke:<role>`
+	 * tags, of a data model or an Entity
+	 * @param {type.ERDDataModel|type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{revoke: boolean, role: string, roleName: string, grants: Array.<Object>, owner: type.Tag}>}
+	 */
+	getPrivileges(elem, options) {
+		var self = this;
+		var privileges = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*(grant|revoke)\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
 			}
+			var role = match[2].trim();
+			privileges.push({
+				revoke: match[1].toLowerCase() === "revoke",
+				role: role,
+				roleName: self.roleName(role, options),
+				grants: self.parsePrivilegeDefinition(tag.value),
+				owner: tag
+			});
+		});
+		return privileges;
+	}
+
+	/**
+	 * Return the objects a privilege of a data model or an Entity is on, along with the kind of
+	 * objects its default privileges apply to, for the objects of the schema created later on
+	 * @param {Object} grant
+	 * @param {type.ERDDataModel|type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{on: string, defaults: string}>} empty when the named object is not found
+	 */
+	privilegeObjects(grant, elem, options) {
+		var self = this;
+		if (elem instanceof type.ERDEntity) {
+			return [{ on: "TABLE " + self.qualifiedTableName(elem, options), defaults: "" }];
+		}
+		var schemaName = self.quoteName(self.schemaName(elem, options), options);
+		switch (grant.object) {
+		case "":
+		case "schema":
+			return [{ on: "SCHEMA " + schemaName, defaults: "" }];
+		case "all tables":
+		case "all sequences":
+		case "all functions":
+			var kind = grant.object.substring(4).toUpperCase();
+			return [{ on: "ALL " + kind + " IN SCHEMA " + schemaName, defaults: kind }];
+		case "all procedures":
+			return [{ on: "ALL PROCEDURES IN SCHEMA " + schemaName, defaults: "" }];
+		case "sequence":
+			var qualified = self.qualifiedDataModel(elem, grant.name, options);
+			var sequence = qualified.dataModel && self.getSequences(qualified.dataModel, options).find(function (seq) {
+				return seq.name.toLowerCase() === qualified.name.toLowerCase();
+			});
+			return sequence ? [{ on: "SEQUENCE " + sequence.sequenceName, defaults: "" }] : [];
+		default:
+			// every overload of the routine
+			var routine = self.qualifiedDataModel(elem, grant.name, options);
+			return routine.dataModel ? self.getRoutines(routine.dataModel, options).filter(function (r) {
+				return r.kind === grant.object && r.name.toLowerCase() === routine.name.toLowerCase();
+			}).map(function (r) {
+				return { on: r.kind.toUpperCase() + " " + r.routineName + self.routineSignature(r, routine.dataModel, options), defaults: "" };
+			}) : [];
 		}
+	}
 
-		// generate inserts
-		if (options.tableInserts) {
-			var text = elem.documentation.trim();
-			if (text.length > 0) {
-				codeWriter.writeLine();
-				var insertInto = "INSERT INTO " + table + " (";
-				var colLength = elem.columns.length;
-				elem.columns.forEach(function (col, idx, arr) {
-					var column = self.columnName(col, options);
-					insertInto += column + (idx < (arr.length - 1) ? "," : "");
-				});
-				insertInto += " ) VALUES ( ";
-				// get data
-				var insertLines = text.split("\n");
-				insertLines.forEach(function (e, idx) {
-					var insertIntoLine = insertInto;
-					var insertData = e.split("|");
-					for (var i = 0; i < colLength; i++) {
-						if (insertData[i]) {
-							insertIntoLine += " '" + insertData[i] + "' ";
-						} else {
-							insertIntoLine += " null ";
-						}
-						if (i < (colLength - 1)) {
-							insertIntoLine += ",";
+	/**
+	 * Return the privileges of a revoke that PostgreSQL gives to `public` by default, the only ones
+	 * the drop script grants back: `execute` on the routines and `usage` on the `public` schema.
+	 * Granting back the others would give `public` privileges it never had.
+	 * @param {Object} privilege
+	 * @param {Object} def privileges on an object
+	 * @param {type.ERDDataModel|type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<string>}
+	 */
+	publicDefaultPrivileges(privilege, def, elem, options) {
+		if (!/^public$/i.test(privilege.role) || elem instanceof type.ERDEntity) {
+			return [];
+		}
+		var builtIn = /^(all )?(function|procedure)s?$/.test(def.object) ? "execute"
+			: ["", "schema"].indexOf(def.object) > -1 && this.schemaName(elem, options).toLowerCase() === "public" ? "usage" : "";
+		var revoked = def.privileges.some(function (p) {
+			return p.columns.length == 0 && (p.privilege === builtIn || p.privilege === "all");
+		});
+		return builtIn && revoked ? [builtIn.toUpperCase()] : [];
+	}
+
+	/**
+	 * Write the privileges of a data model or an Entity, and their reversal
+	 * @param {CodeWriter} codeWriter
+	 * @param {CodeWriter} dropWriter
+	 * @param {type.ERDDataModel|type.ERDEntity} elem
+	 * @param {Object} options
+	 */
+	writePrivileges(codeWriter, dropWriter, elem, options) {
+		var self = this;
+		var schemaName = self.quoteName(self.schemaName(elem instanceof type.ERDEntity ? elem._parent : elem, options), options);
+		var privileges = self.getPrivileges(elem, options);
+		privileges.forEach(function (privilege) {
+			var grant = function (text) {
+				return "GRANT " + text + " TO " + privilege.roleName + ";";
+			};
+			var revoke = function (text) {
+				return "REVOKE " + text + " FROM " + privilege.roleName + ";";
+			};
+			privilege.grants.forEach(function (def) {
+				var objects = self.privilegeObjects(def, elem, options);
+				if (objects.length == 0) {
+					self.report("error", "The " + def.object + " " + def.name + " granted to " + privilege.role + " is not found", privilege.owner);
+					return;
+				}
+				var columnPrivileges = false;
+				var text = def.privileges.map(function (p) {
+					var columns = p.columns.map(function (name) {
+						var col = elem instanceof type.ERDEntity && self.findColumn(elem, name, options);
+						return col ? self.columnName(col, options) : name;
+					});
+					columnPrivileges = columnPrivileges || columns.length > 0;
+					return p.privilege.toUpperCase() + (columns.length > 0 ? " (" + columns.join(", ") + ")" : "");
+				}).join(", ");
+				// a revoke is undone by granting back the default privileges of public only
+				var undoText = privilege.revoke ? self.publicDefaultPrivileges(privilege, def, elem, options).join(", ") : text;
+				var undo = function (on) {
+					return privilege.revoke ? grant(on) : revoke(on);
+				};
+				objects.forEach(function (object) {
+					codeWriter.writeLine(privilege.revoke ? revoke(text + " ON " + object.on) : grant(text + " ON " + object.on));
+					if (undoText) {
+						self.writeDropGuarded(dropWriter, options, undo(undoText + " ON " + object.on));
+					}
+					if (object.defaults && !columnPrivileges) {
+						var prefix = "ALTER DEFAULT PRIVILEGES IN SCHEMA " + schemaName + " ";
+						codeWriter.writeLine(prefix + (privilege.revoke ? revoke(text + " ON " + object.defaults) : grant(text + " ON " + object.defaults)));
+						if (undoText) {
+							self.writeDropGuarded(dropWriter, options, prefix + undo(undoText + " ON " + object.defaults));
 						}
 					}
-					insertIntoLine += " ); ";
-					codeWriter.writeLine(insertIntoLine);
-					codeWriter.writeLine();
 				});
-				codeWriter.writeLine();
-			}
+			});
+		});
+		if (privileges.length > 0) {
+			codeWriter.writeLine();
 		}
-
-		(!documentation && comments.length == 0) || codeWriter.writeLine();
 	}
 
-	generateDatabase(elem, path, options) {
-		if (elem instanceof type.Project) {
-			var tag = codegen.tag("database", elem);
-			var dbName = "";
-			if (tag) {
-				dbName = tag.value;
-			}
-			if (!dbName) {
-				dbName = codegen.replaceAll(elem.name, " ", "_");
-			}
-			if (!tag && !codegen.isValidIdentifier(elem.name)) {
-				codegen.addStringTag("database", elem, dbName.toLowerCase());
-			}
-			if (!tag) {
-				codegen.addStringTag("database", elem, dbName.toLowerCase());
-			}
-			if (!codegen.isValidIdentifier(dbName)) {
-				app.toast.warning(
-					"Database name is not valid: " + dbName + ", please edit the database tag for " + elem.name
-				);
-				return false;
-			}
-			var codeWriter = new codegen.CodeWriter(this.getIndentString(options));
-			codeWriter.writeLine("-- Database: " + elem.name);
-			codeWriter.writeLine("-- Author: " + elem.author);
-			codeWriter.writeLine("CREATE DATABASE " + dbName.toLowerCase());
-			codeWriter.indent();
-			codeWriter.writeLine("WITH OWNER = " + options.owner);
-			codeWriter.indent();
-			codeWriter.writeLine("ENCODING = '" + options.encoding + "'");
-			codeWriter.writeLine("TABLESPACE = " + options.tablespace);
-
-			var collation = options.collation;
-			if (collation !== "default") {
-				codeWriter.writeLine("LC_COLLATE = '" + collation + "'");
-				codeWriter.writeLine("LC_CTYPE = '" + collation + "'");
-			}
-			codeWriter.writeLine("CONNECTION LIMIT = -1;");
-			codeWriter.outdent();
-			codeWriter.outdent();
-			var documentation = elem.documentation;
-			if (!!documentation) {
-				codeWriter.writeLine();
-				codeWriter.writeLine("COMMENT ON DATABASE " + dbName.toLowerCase());
-				codeWriter.indent();
-				codeWriter.writeLine("IS " + codegen.asComment(documentation) + ";");
+	/**
+	 * Parse the value of an Entity `policy:<name>` tag, made of the `CREATE POLICY` clauses:
+	 * `[as permissive | as restrictive] [for all | select | insert | update | delete]
+	 * [to <role>, ...] [using (<condition>)] [with check (<condition>)]`
+	 * @param {string} value
+	 * @return {{kind: string, command: string, roles: Array.<string>, using: string, check: string, unknown: string}}
+	 */
+	parsePolicyDefinition(value) {
+		var rest = (value || "").trim();
+		var definition = { kind: "permissive", command: "all", roles: [], using: "", check: "", unknown: "" };
+		var word = function (expected) {
+			var match = new RegExp("^(?:" + expected + ")(?![A-Za-z0-9_$])\\s*", "i").exec(rest);
+			if (match) {
+				rest = rest.substring(match[0].length);
 			}
-
-			var file = path + "/db_create.sql";
-			fs.writeFileSync(file, codeWriter.getData());
-
-			codeWriter = new codegen.CodeWriter(this.getIndentString(options));
-			codeWriter.writeLine("DROP DATABASE " + dbName.toLowerCase() + ";");
-
-			file = path + "/db_drop.sql";
-			if (options.dropStatements) {
-				fs.writeFileSync(file, codeWriter.getData());
+			return match ? match[0].trim().toLowerCase() : "";
+		};
+		var condition = function () {
+			var items = splitList(rest);
+			if (items === null) {
+				return "";
 			}
-			return true;
-		} else {
-			app.toast.error("No project found, database DDL generator expects a main project");
-			return false;
+			var text = rest.substring(1, rest.length - items.rest.length - 1).trim();
+			rest = items.rest.trim();
+			return text;
+		};
+		if (word("as")) {
+			definition.kind = word("permissive|restrictive");
 		}
-	}
-
-	schemaName(elem, options) {
-		if (elem instanceof type.ERDDiagram) {
-			elem = elem._parent;
+		if (word("for")) {
+			definition.command = word("all|select|insert|update|delete");
 		}
-		if (!(elem instanceof type.ERDDataModel)) {
-			return "public";
+		if (word("to")) {
+			var roles = /^[\s\S]*?(?=\s*(?:using|with)(?![A-Za-z0-9_$])|$)/i.exec(rest)[0];
+			rest = rest.substring(roles.length).trim();
+			definition.roles = enumValues(roles);
 		}
-		var dbName = codegen.stringTag("schema", elem);
-		if (!dbName) {
-			dbName = "public";
-		} else if (!codegen.isValidIdentifier(dbName)) {
-			app.toast.warning("Schema name not valid: " + dbName);
+		if (word("using")) {
+			definition.using = condition();
 		}
-		return dbName;
+		if (word("with\\s+check")) {
+			definition.check = condition();
+		}
+		definition.unknown = rest;
+		return definition;
 	}
 
-	generateSchema(elem, path, options) {
-		var codeWriter = new codegen.CodeWriter(this.getIndentString(options));
-		var dropWriter = new codegen.CodeWriter(this.getIndentString(options));
-		var schemas = [];
+	/**
+	 * Return the row-level security policies declared by the `policy:<name>` tags of an Entity
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {Array.<{name: string, policyName: string, definition: Object, owner: type.Tag}>}
+	 */
+	getPolicies(elem, options) {
 		var self = this;
-		elem.ownedElements.forEach(function (e) {
-			if (e instanceof type.ERDDataModel) {
-				var schemaName = self.schemaName(e, options).toLowerCase();
-				var dataModelName = codegen.replaceAll(e.name, " ", "_").toLowerCase();
-				self.generateFunctions(e, path, options, schemaName, dataModelName);
-				self.generateProcedures(e, path, options, schemaName, dataModelName);
-				self.generateTables(e, path, options, schemaName, dataModelName);
-				if (schemaName !== "public" && schemas.indexOf(schemaName) == -1) {
-					schemas.push(schemaName);
-					codeWriter.writeLine("-- Schema for: " + e.name);
-					codeWriter.writeLine("CREATE SCHEMA " + schemaName);
-					codeWriter.indent();
-					codeWriter.writeLine("AUTHORIZATION " + options.owner + ";");
-					codeWriter.outdent();
-					var documentation = e.documentation;
-					if (documentation) {
-						codeWriter.writeLine();
-						codeWriter.writeLine("COMMENT ON SCHEMA " + schemaName);
-						codeWriter.indent();
-						codeWriter.writeLine("IS " + codegen.asComment(documentation) + ";");
-						codeWriter.outdent();
-					}
-					dropWriter.writeLine("DROP SCHEMA " + schemaName + ";");
-				}
+		var policies = [];
+		elem.tags.forEach(function (tag) {
+			var match = /^\s*policy\s*:(.*)$/i.exec(tag.name || "");
+			if (!match || tag.kind !== type.Tag.TK_STRING) {
+				return;
 			}
+			var name = match[1].trim();
+			policies.push({
+				name: name,
+				policyName: self.objectName([name], options),
+				definition: self.parsePolicyDefinition(tag.value),
+				owner: tag
+			});
 		});
-		if (codeWriter.hasContent()) {
-			var file = path + "/schema_create.sql";
-			fs.writeFileSync(file, codeWriter.getData());
-			file = path + "/schema_drop.sql";
-			if (options.dropStatements) {
-				fs.writeFileSync(file, dropWriter.getData());
-			}
-		}
+		return policies;
+	}
 
-		return true;
+	/**
+	 * Return how the row-level security of an Entity is enabled: given by its `row_security` tag,
+	 * `enable` or `force` to apply it to the table owner too, and enabled by its policies otherwise
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 * @return {string} enable, force or an empty string
+	 */
+	rowSecurity(elem, options) {
+		var value = codegen.stringTag("row_security", elem).trim().toLowerCase();
+		return value || (this.getPolicies(elem, options).length > 0 ? "enable" : "");
 	}
 
-	generateFunctions(elem, path, options, schema, dataModelName) {
+	/**
+	 * Write the row-level security of a table and its policies, and their removal
+	 * @param {CodeWriter} codeWriter
+	 * @param {CodeWriter} dropWriter
+	 * @param {type.ERDEntity} elem
+	 * @param {Object} options
+	 */
+	writeRowSecurity(codeWriter, dropWriter, elem, options) {
 		var self = this;
-
-		var functionCodeWriter = new codegen.CodeWriter(self.getIndentString(options));
-		var functionDropWriter = new codegen.CodeWriter(self.getIndentString(options));
-		var refs = [];
-		var functionsRefs = [];
-		var len = elem.tags.length;
-		for (var i = 0; i < len; i++) {
-			var t = elem.tags[i];
-			if (t && t.kind === type.Tag.TK_REFERENCE && t.reference && t.reference.name == options.function) {
-				app.toast.info("Generate function DDL for " + t.name);
-				functionCodeWriter.writeLine();
-				functionCodeWriter.writeLine();
-				functionCodeWriter.writeLine("CREATE OR REPLACE FUNCTION " + t.name + " ");
-				// functionCodeWriter.indent();
-				functionCodeWriter.writeLine(t.value);
-				functionDropWriter.writeLine("DROP FUNCTION IF EXISTS " + t.name + " () CASCADE;");
-			}
+		var rowSecurity = self.rowSecurity(elem, options);
+		if (!rowSecurity) {
+			return;
 		}
-		if (functionCodeWriter.hasContent()) {
-			var file = path + "/" + dataModelName + "_function_create.sql";
-			fs.writeFileSync(file, functionCodeWriter.getData());
-			file = path + "/" + dataModelName + "_function_drop.sql";
-			if (options.dropStatements) {
-				fs.writeFileSync(file, functionDropWriter.getData());
-			}
+		var table = self.qualifiedTableName(elem, options);
+		codeWriter.writeLine("ALTER TABLE " + table + " ENABLE ROW LEVEL SECURITY;");
+		if (rowSecurity === "force") {
+			codeWriter.writeLine("ALTER TABLE " + table + " FORCE ROW LEVEL SECURITY;");
 		}
-
-		return true;
+		self.getPolicies(elem, options).forEach(function (policy) {
+			var definition = policy.definition;
+			var roles = definition.roles.map(function (role) {
+				return /^(current_user|current_role|session_user)$/i.test(role) ? role.toUpperCase() : self.roleName(role, options);
+			});
+			var clauses = [
+				"AS " + definition.kind.toUpperCase(),
+				"FOR " + definition.command.toUpperCase(),
+				"TO " + (roles.length > 0 ? roles.join(", ") : "PUBLIC"),
+				definition.using ? "USING (" + definition.using + ")" : "",
+				definition.check ? "WITH CHECK (" + definition.check + ")" : ""
+			].filter(function (clause) { return !!clause; });
+			self.writeGuarded(codeWriter, options, function () {
+				codeWriter.writeLine("CREATE POLICY " + policy.policyName + " ON " + table);
+				codeWriter.indent();
+				clauses.forEach(function (clause, idx) {
+					codeWriter.writeLine(clause + (idx == clauses.length - 1 ? ";" : ""));
+				});
+				codeWriter.outdent();
+			});
+			dropWriter.writeLine("DROP POLICY IF EXISTS " + policy.policyName + " ON " + table + ";");
+		});
+		// the table may already be dropped by a previous run of the drop scripts
+		if (rowSecurity === "force") {
+			dropWriter.writeLine("ALTER TABLE IF EXISTS " + table + " NO FORCE ROW LEVEL SECURITY;");
+		}
+		dropWriter.writeLine("ALTER TABLE IF EXISTS " + table + " DISABLE ROW LEVEL SECURITY;");
+		codeWriter.writeLine();
 	}
 
-	generateProcedures(elem, path, options, schema, dataModelName) {
+	/**
+	 * Generate the roles of the project, the privileges of its data models, entities and routines
+	 * and the row-level security of its tables into a `security` group, deployed after all the
+	 * objects; the roles, which are global to the cluster and may be used by other databases, are
+	 * created when missing and are left in place by the drop script
+	 * @param {type.Project} elem
+	 * @param {Object} options
+	 * @param {Array.<Object>} requires groups to be deployed before
+	 */
+	generateSecurity(elem, options, requires) {
 		var self = this;
+		var group = self.openGroup("security", requires, options);
+		var codeWriter = group.scripts.create.section("security");
+		var dropWriter = group.scripts.drop.section("security");
+		var roles = self.getRoles(elem, options);
 
-		var procedureCodeWriter = new codegen.CodeWriter(self.getIndentString(options));
-		var procedureDropWriter = new codegen.CodeWriter(self.getIndentString(options));
-		var refs = [];
-		var procedureRefs = [];
-		var len = elem.tags.length;
-		for (var i = 0; i < len; i++) {
-			var t = elem.tags[i];
-			if (t && t.kind === type.Tag.TK_REFERENCE && t.reference && t.reference.name == options.procedure) {
-				app.toast.info("Generate procedure DDL for " + t.name);
-				procedureCodeWriter.writeLine();
-				procedureCodeWriter.writeLine();
-				procedureCodeWriter.writeLine("CREATE OR REPLACE PROCEDURE " + t.name + " ");
-				// procedureCodeWriter.indent();
-				procedureCodeWriter.writeLine(t.value);
-				procedureDropWriter.writeLine("DROP PROCEDURE IF EXISTS " + t.name + " () CASCADE;");
+		roles.forEach(function (role) {
+			var definition = role.definition;
+			var physicalName = self.physicalName(role.name, options);
+			var attributes = definition.attributes.map(function (attribute) { return attribute.toUpperCase(); });
+			if (definition.connectionLimit) {
+				attributes.push("CONNECTION LIMIT " + definition.connectionLimit);
 			}
-		}
-		if (procedureCodeWriter.hasContent()) {
-			var file = path + "/" + dataModelName + "_procedure_create.sql";
-			fs.writeFileSync(file, procedureCodeWriter.getData());
-			file = path + "/" + dataModelName + "_procedure_drop.sql";
-			if (options.dropStatements) {
-				fs.writeFileSync(file, procedureDropWriter.getData());
+			if (definition.validUntil) {
+				attributes.push("VALID UNTIL " + definition.validUntil);
 			}
-		}
+			codeWriter.writeLine("DO $$");
+			codeWriter.writeLine("BEGIN");
+			codeWriter.indent();
+			codeWriter.writeLine("IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = '" + physicalName.replace(/'/g, "''") + "') THEN");
+			codeWriter.indent();
+			codeWriter.writeLine("CREATE ROLE " + role.roleName + ";");
+			codeWriter.outdent();
+			codeWriter.writeLine("END IF;");
+			codeWriter.outdent();
+			codeWriter.writeLine("END");
+			codeWriter.writeLine("$$;");
+			// the existing roles get the attributes of the model too
+			if (attributes.length > 0) {
+				codeWriter.writeLine("ALTER ROLE " + role.roleName + " WITH " + attributes.join(" ") + ";");
+			}
+			definition.inRoles.forEach(function (name) {
+				codeWriter.writeLine("GRANT " + self.roleName(name, options) + " TO " + role.roleName + ";");
+			});
+			codeWriter.writeLine();
+		});
 
-		return true;
+		elem.ownedElements.forEach(function (e) {
+			if (!(e instanceof type.ERDDataModel)) {
+				return;
+			}
+			self.writePrivileges(codeWriter, dropWriter, e, options);
+			var entities = [];
+			e.ownedElements.forEach(function (owned) {
+				entities = entities.concat(owned instanceof type.ERDDiagram ? owned.ownedElements : [owned]);
+			});
+			entities.forEach(function (entity) {
+				if (entity instanceof type.ERDEntity && self.isGenerated(entity)) {
+					self.writePrivileges(codeWriter, dropWriter, entity, options);
+					if (!self.viewDefinition(entity)) {
+						self.writeRowSecurity(codeWriter, dropWriter, entity, options);
+					}
+				}
+			});
+		});
+		return group;
+	}
+
+	/**
+	 * Return whether the table or view of an entity is generated: all of them, unless the generator
+	 * is given a single entity, which is generated along with its junction tables
+	 * @param {type.ERDEntity} entity an entity or a junction table
+	 * @return {boolean}
+	 */
+	isGenerated(entity) {
+		var self = this;
+		if (!self.entity || entity === self.entity) {
+			return true;
+		}
+		return !(entity instanceof type.ERDEntity) && entity.columns.some(function (col) {
+			return !!col.referenceTo && col.referenceTo._parent === self.entity;
+		});
 	}
 
-	generateTables(elem, path, options, schema, dataModelName) {
+	/**
+	 * Collect the data model entities along with the group they are generated into
+	 * @param {type.ERDDataModel} elem
+	 * @param {Object} options
+	 * @param {string} schema
+	 * @param {string} dataModelName
+	 * @param {Array.<Object>} requires groups to be deployed before the tables
+	 * @param {Array.<Object>} tables collected tables
+	 * @param {Array.<Object>} views collected views, generated apart
+	 */
+	collectTables(elem, options, schema, dataModelName, requires, tables, views) {
 		var self = this;
 
-		var tableCodeWriter = new codegen.CodeWriter(self.getIndentString(options));
-		var tableDropWriter = new codegen.CodeWriter(self.getIndentString(options));
-		var refs = [];
-		var tableRefs = [];
+		var collect = function (entity, group) {
+			if (self.viewDefinition(entity)) {
+				views.push({ entity: entity, schema: schema, dataModelName: dataModelName });
+			} else {
+				tables.push({ entity: entity, group: group, schema: schema });
+			}
+		};
+		var tableGroup = self.openGroup(dataModelName + "_table", requires, options);
 		elem.ownedElements.forEach(function (diagram) {
 			if (diagram instanceof type.ERDDiagram) {
-				var codeWriter = new codegen.CodeWriter(self.getIndentString(options));
-				var dropWriter = new codegen.CodeWriter(self.getIndentString(options));
+				var diagName = codegen.replaceAll(diagram.name, " ", "_").toLowerCase();
+				var group = self.openGroup(dataModelName + "_" + diagName, requires, options);
 
-				var prefix = codegen.stringTag("prefix", diagram);
 				diagram.ownedElements.forEach(function (entity) {
-					app.toast.info("Generate table DDL for " + entity.name);
-					if (!self.generateTable(codeWriter, dropWriter, entity, options, schema, prefix, refs)) {
-						return false;
+					if (entity instanceof type.ERDEntity) {
+						collect(entity, group);
 					}
 				});
-				// add the references
-				for (var i = 0, len = refs.length; i < len; i++) {
-					codeWriter.writeLine(refs[i]);
-				}
-
-				if (codeWriter.hasContent()) {
-					var diagName = codegen.replaceAll(diagram.name, " ", "_").toLowerCase();
-					var file = path + "/" + dataModelName + "_" + diagName + "_create.sql";
-					fs.writeFileSync(file, codeWriter.getData());
-					file = path + "/" + dataModelName + "_" + diagName + "_drop.sql";
-					if (options.dropStatements) {
-						fs.writeFileSync(file, dropWriter.getData());
-					}
-				}
 			} else if (diagram instanceof type.ERDEntity) {
-				// generate table
-				app.toast.info("Generate table DDL for " + diagram.name);
-				if (!self.generateTable(tableCodeWriter, tableDropWriter, diagram, options, schema, "", tableRefs)) {
-					return false;
-				}
+				collect(diagram, tableGroup);
 			}
 		});
+	}
 
-		if (tableCodeWriter.hasContent()) {
-			for (var i = 0, len = tableRefs.length; i < len; i++) {
-				tableCodeWriter.writeLine(tableRefs[i]);
-			}
-			var file = path + "/" + dataModelName + "_table_create.sql";
-			fs.writeFileSync(file, tableCodeWriter.getData());
-			file = path + "/" + dataModelName + "_table_drop.sql";
-			if (options.dropStatements) {
-				fs.writeFileSync(file, tableDropWriter.getData());
-			}
-		}
+	/**
+	 * Generate the tables so that referenced tables come first, along with the foreign key
+	 * columns and junction tables of their relationships
+	 * @param {Array.<Object>} tables
+	 * @param {Object} options
+	 */
+	generateTables(tables, options) {
+		var self = this;
+
+		var resolved = self.resolveRelationships(tables, options);
+		resolved.warnings.forEach(function (warning) {
+			self.report("warning", warning.message, warning.element);
+		});
+		tables = tables.concat(resolved.tables);
+
+		var sorted = codegen.topologicalSort(tables, function (table) {
+			return self.tableColumns(table.entity)
+				.map(function (col) { return self.columnReference(col); })
+				.filter(function (refCol) { return !!refCol && !!refCol._parent; })
+				.map(function (refCol) {
+					return tables.find(function (t) { return t.entity === refCol._parent; });
+				})
+				.filter(function (t) { return !!t; });
+		});
+		// the cycles only matter to the seed data, the foreign keys being created after the tables
+		sorted.cycles.filter(function (cycle) {
+			return options.tableInserts && cycle.some(function (t) {
+				return self.isGenerated(t.entity) && !!self.getSeedData(t.entity, options);
+			});
+		}).forEach(function (cycle) {
+			self.report(
+				"warning",
+				"Table dependency cycle: " +
+				cycle.map(function (t) { return t.entity.name; }).join(" -> ") +
+				", the seed data of these tables may violate their foreign keys",
+				cycle[0].entity
+			);
+		});
+
+		sorted.order.filter(function (table) { return self.isGenerated(table.entity); }).forEach(function (table) {
+			self.generateTable(table.group, table.entity, options, table.schema);
+		});
 
 		return true;
 	}
 
 	/**
-	 * Generate codes from a given element
-	 * @param {type.Model} elem
-	 * @param {string} path
+	 * Generate the project objects in memory
+	 * @param {type.Project} elem
+	 * @param {Object} options
+	 * @return {Array.<Object>} generated groups, in deployment order
+	 */
+	build(elem, options) {
+		var self = this;
+
+		self.groups = [];
+		self.references = [];
+		self.entityGroups = new Map();
+		self.generatedColumns = new Map();
+		self.linkedColumns = new Map();
+		self.typeMapping(options).errors.forEach(function (error) {
+			self.report("error", error);
+		});
+		self.snapshot = {
+			version: 1,
+			project: elem.name,
+			tables: {},
+			enums: {}
+		};
+		// in single file mode every group writes into the same create and drop scripts
+		self.singleGroup = null;
+		if (options.singleFile) {
+			self.singleGroup = self.openGroup("single", [], options);
+		}
+
+		self.generateSchema(elem, options);
+
+		return self.resolveGroups(options);
+	}
+
+	/**
+	 * Generate the project files in memory
+	 * @param {type.Project} elem
 	 * @param {Object} options
-	 * @return {$.Promise}
+	 * @return {Object.<string, string>} file contents by file name
 	 */
-	generate(elem, path, options) {
+	generateFiles(elem, options) {
 		var self = this;
 
-		try {
-			if (self.generateDatabase(elem, path, options)) {
-				app.toast.info("Database creation files completed.");
+		self.files = {};
+		self.generateDatabase(elem, options);
+
+		var groups = self.build(elem, options);
+		if (self.singleGroup) {
+			self.addScript("create.sql", self.scriptData(self.singleGroup.scripts.create.getData(), options, true), options);
+			if (options.dropStatements) {
+				self.addScript("drop.sql", self.scriptData(self.singleGroup.scripts.drop.getData(), options, true), options);
 			}
+		} else {
+			groups = groups.filter(function (group) {
+				return self.addGroup(group, options);
+			});
+			self.addDeployScripts(elem, groups, options);
+		}
+		self.files["snapshot.json"] = JSON.stringify(self.snapshot, null, "\t");
+		return self.files;
+	}
+
+	/**
+	 * Generate the migration from a previous snapshot to the current model in memory, as
+	 * `<number>_migration.sql` along with the new `<number>_snapshot.json`; there is no file
+	 * when the model matches the snapshot
+	 * @param {type.Project} elem
+	 * @param {Object} previous previous snapshot
+	 * @param {string} previousName previous snapshot file name
+	 * @param {string} number migration number
+	 * @param {Object} options
+	 * @return {{files: Object.<string, string>, destructive: number}}
+	 */
+	generateMigration(elem, previous, previousName, number, options) {
+		var self = this;
 
-			self.generateSchema(elem, path, options);
+		self.files = {};
+		self.build(elem, options);
+		var result = migration.diffSnapshots(previous, self.snapshot, self.getIndentString(options));
+		if (result.changes == 0) {
+			return { files: self.files, destructive: 0 };
+		}
 
-			app.dialogs.showInfoDialog("Project DDL files generated in " + path);
-		} catch (ex) {
-			app.dialogs.showErrorDialog("Project generation failed: " + ex);
-			console.log(ex);
+		var codeWriter = new codegen.CodeWriter(self.getIndentString(options));
+		codeWriter.writeLine("-- Migration " + number + " for: " + elem.name);
+		codeWriter.writeLine("-- From snapshot: " + previousName);
+		if (result.destructive > 0) {
+			codeWriter.writeLine("-- " + result.destructive + " destructive step(s), marked with WARNING: destructive");
 		}
+		codeWriter.writeLine();
+		codeWriter.writeLine(result.data);
+
+		self.addScript(number + "_migration.sql", codeWriter.getData(), options);
+		self.files[number + "_snapshot.json"] = JSON.stringify(self.snapshot, null, "\t");
+		return { files: self.files, destructive: result.destructive };
 	}
 }
 
 /**
- * Generate
+ * Write the generated files into a directory
+ * @param {Object.<string, string>} files file contents by file name
+ * @param {string} basePath
+ */
+function writeFiles(files, basePath) {
+	Object.keys(files).forEach(function (name) {
+		fs.writeFileSync(path.join(basePath, name), files[name]);
+	});
+}
+
+/**
+ * Show the diagnostics of a generation as toasts
+ * @param {Array.<{severity: string, message: string, elementId: string}>} diagnostics
+ */
+function toastDiagnostics(diagnostics) {
+	diagnostics.forEach(function (diagnostic) {
+		app.toast[diagnostic.severity](diagnostic.message);
+	});
+}
+
+/**
+ * Generate the files in memory, neither writing them nor showing anything; the diagnostics
+ * give the id of the element at fault
+ * @param {type.Model} baseModel
+ * @param {Object} options
+ * @param {type.ERDEntity} entity when given, the only table or view generated
+ * @return {{files: Object.<string, string>, diagnostics: Array.<{severity: string, message: string, elementId: string}>}}
+ */
+function generateFiles(baseModel, options, entity) {
+	var generator = new DDLGenerator(baseModel, null);
+	generator.entity = entity || null;
+	return {
+		files: generator.generateFiles(baseModel, options),
+		diagnostics: generator.diagnostics
+	};
+}
+
+/**
+ * Generate the files into a directory, the diagnostics being shown as toasts
  * @param {type.Model} baseModel
  * @param {string} basePath
  * @param {Object} options
  */
 function generate(baseModel, basePath, options) {
-	var generator = new DDLGenerator(baseModel, basePath);
-	return generator.generate(baseModel, basePath, options);
+	try {
+		var result = generateFiles(baseModel, options);
+		toastDiagnostics(result.diagnostics);
+		writeFiles(result.files, basePath);
+
+		app.dialogs.showInfoDialog("Project DDL files generated in " + basePath);
+	} catch (ex) {
+		app.dialogs.showErrorDialog("Project generation failed: " + ex);
+		console.log(ex);
+	}
+}
+
+/**
+ * Generate a migration from a snapshot, next to the snapshot, numbered after the migrations
+ * already there
+ * @param {type.Model} baseModel
+ * @param {string} snapshotFile
+ * @param {Object} options
+ */
+function migrate(baseModel, snapshotFile, options) {
+	try {
+		var previous = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+		var dir = path.dirname(snapshotFile);
+		var last = 0;
+		fs.readdirSync(dir).forEach(function (file) {
+			var match = /^(\d+)_migration\.sql$/.exec(file);
+			if (match) {
+				last = Math.max(last, parseInt(match[1], 10));
+			}
+		});
+		var number = String(last + 1).padStart(4, "0");
+
+		var generator = new DDLGenerator(baseModel, dir);
+		var result = generator.generateMigration(baseModel, previous, path.basename(snapshotFile), number, options);
+		toastDiagnostics(generator.diagnostics);
+		if (Object.keys(result.files).length == 0) {
+			app.dialogs.showInfoDialog("The model matches " + snapshotFile + ", no migration generated");
+			return;
+		}
+		writeFiles(result.files, dir);
+
+		if (result.destructive > 0) {
+			app.toast.warning("Migration " + number + " has " + result.destructive + " destructive step(s)");
+		}
+		app.dialogs.showInfoDialog("Migration " + number + " generated in " + dir);
+	} catch (ex) {
+		app.dialogs.showErrorDialog("Migration generation failed: " + ex);
+		console.log(ex);
+	}
 }
 
-exports.generate = generate;
\ No newline at end of file
+exports.DDLGenerator = DDLGenerator;
+exports.generate = generate;
+exports.generateFiles = generateFiles;
+exports.writeFiles = writeFiles;
+exports.migrate = migrate;
\ No newline at end of file
@@ -0,0 +1,218 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const fs = require("fs");
+
+/** Default values of the element fields, omitted by StarUML when saving a project */
+const FIELD_DEFAULTS = {
+	Element: { name: "", documentation: "", tags: [], ownedElements: [] },
+	ERDEntity: { columns: [] },
+	ERDColumn: {
+		type: "",
+		length: "",
+		primaryKey: false,
+		foreignKey: false,
+		referenceTo: null,
+		unique: false,
+		nullable: false
+	},
+	ERDRelationshipEnd: { name: "", cardinality: "1", reference: null },
+	Tag: { kind: "string", value: "", checked: false, number: 0, reference: null }
+};
+
+/** Base class of the headless elements */
+class Element {}
+
+/**
+ * Element classes by StarUML type name, created on first use so that `instanceof` checks
+ * on types the loaded project does not contain still work
+ */
+const classes = {};
+
+function elementClass(typeName) {
+	if (!classes[typeName]) {
+		classes[typeName] = { [typeName]: class extends Element {} }[typeName];
+	}
+	return classes[typeName];
+}
+
+elementClass("Tag");
+Object.assign(classes.Tag, {
+	TK_STRING: "string",
+	TK_BOOLEAN: "boolean",
+	TK_NUMBER: "number",
+	TK_REFERENCE: "reference",
+	TK_HIDDEN: "hidden"
+});
+
+/** StarUML global `type` object */
+const types = new Proxy(classes, {
+	get: function (target, name) {
+		return typeof name === "string" ? elementClass(name) : undefined;
+	}
+});
+
+/**
+ * Create an element of the given type with the default field values
+ * @param {string} typeName
+ * @return {Element}
+ */
+function createElement(typeName) {
+	var elem = new (elementClass(typeName))();
+	[FIELD_DEFAULTS.Element, FIELD_DEFAULTS[typeName] || {}].forEach(function (defaults) {
+		Object.keys(defaults).forEach(function (field) {
+			var value = defaults[field];
+			elem[field] = Array.isArray(value) ? [] : value;
+		});
+	});
+	return elem;
+}
+
+/**
+ * Load a StarUML project file, resolving the `$ref` links between elements
+ * @param {string} file .mdj file
+ * @return {Element} project
+ */
+function loadProject(file) {
+	var byId = {};
+	var refs = [];
+
+	function build(value, owner, field) {
+		if (Array.isArray(value)) {
+			return value.map(function (item, idx) {
+				return build(item, value, idx);
+			});
+		}
+		if (!value || typeof value !== "object") {
+			return value;
+		}
+		if (value.$ref) {
+			refs.push({ owner: owner, field: field, id: value.$ref });
+			return null;
+		}
+		var elem = value._type ? createElement(value._type) : {};
+		Object.keys(value).forEach(function (key) {
+			elem[key] = build(value[key], elem, key);
+		});
+		if (value._id) {
+			byId[value._id] = elem;
+		}
+		return elem;
+	}
+
+	var project = build(JSON.parse(fs.readFileSync(file, "utf8")), null, null);
+	// unresolved links are kept, for the validation to report them
+	refs.forEach(function (ref) {
+		ref.owner[ref.field] = byId[ref.id] || { $ref: ref.id };
+	});
+	return project;
+}
+
+/**
+ * Headless replacement of the StarUML `app` object, reporting to the console
+ */
+class HeadlessApp {
+	/**
+	 * HeadlessApp
+	 * @constructor
+	 * @param {Object} preferences preference values by id
+	 */
+	constructor(preferences) {
+		var self = this;
+
+		/** @member {number} */
+		this.errors = 0;
+
+		/** @member {number} */
+		this.warnings = 0;
+
+		this.toast = {
+			info: function (message) {},
+			warning: function (message) {
+				self.warnings++;
+				console.warn("warning: " + message);
+			},
+			error: function (message) {
+				self.errors++;
+				console.error("error: " + message);
+			}
+		};
+
+		this.dialogs = {
+			showInfoDialog: function (message) {
+				console.log(message);
+			},
+			showErrorDialog: function (message) {
+				self.errors++;
+				console.error("error: " + message);
+			}
+		};
+
+		this.factory = {
+			createModel: function (options) {
+				var elem = createElement(options.id);
+				elem._parent = options.parent;
+				options.modelInitializer && options.modelInitializer(elem);
+				options.parent[options.field || "ownedElements"].push(elem);
+				return elem;
+			}
+		};
+
+		this.preferences = {
+			get: function (key) {
+				return preferences[key];
+			}
+		};
+	}
+}
+
+/**
+ * Return the default values of the extension preferences
+ * @return {Object.<string, *>}
+ */
+function defaultPreferences() {
+	var schema = JSON.parse(fs.readFileSync(__dirname + "/preferences/preference.json", "utf8")).schema;
+	var preferences = {};
+	Object.keys(schema).forEach(function (key) {
+		if (typeof schema[key].default !== "undefined") {
+			preferences[key] = schema[key].default;
+		}
+	});
+	return preferences;
+}
+
+/**
+ * Install the headless `app` and `type` globals the generator relies on
+ * @param {Object} preferences preference values by id
+ * @return {HeadlessApp}
+ */
+function install(preferences) {
+	global.type = types;
+	global.app = new HeadlessApp(preferences);
+	return global.app;
+}
+
+exports.loadProject = loadProject;
+exports.defaultPreferences = defaultPreferences;
+exports.install = install;
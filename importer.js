@@ -0,0 +1,589 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+const codegen = require("./codegen-utils");
+const parser = require("./ddl-parser");
+const { DDLGenerator } = require("./generator");
+
+/** Entity views layout on the imported diagrams */
+const LAYOUT = { columns: 4, width: 260, height: 220, margin: 20 };
+
+class DDLImporter {
+	/**
+	 * DDL Importer
+	 * @constructor
+	 *
+	 * @param {type.Project} project
+	 * @param {Object} options
+	 */
+	constructor(project, options) {
+		/** @member {type.Project} */
+		this.project = project;
+
+		/** @member {Object} */
+		this.options = options;
+
+		/** @member {Array.<string>} */
+		this.warnings = [];
+
+		/** @member {Object.<string, {type: string, length: string, usesLength: boolean}>} */
+		this.typeMap = this.inverseTypeMap();
+
+		/** @member {Object.<string, boolean>} enumerations imported as data model ones, by qualified name */
+		this.sharedEnums = {};
+	}
+
+	/**
+	 * Return the PostgreSQL to StarUML type mapping, inverse of the generator one;
+	 * when several StarUML types map to the same PostgreSQL type the first one is used
+	 * @return {Object}
+	 */
+	inverseTypeMap() {
+		var generator = new DDLGenerator(this.project, null);
+		var options = this.options;
+		var inverse = {};
+		Object.keys(generator.dataTypeMap(options)).forEach(function (key) {
+			var pgType = generator.dataType({ type: key, length: "" }, options);
+			var usesLength = generator.dataType({ type: key, length: "1" }, options) !== pgType;
+			// generation of the identities generated for the -1 length columns
+			var identity = generator.identity({ type: key, length: -1 }, options);
+			inverse[pgType] = inverse[pgType] || {
+				type: key,
+				length: "",
+				usesLength: usesLength,
+				identity: identity ? identity.generation : null
+			};
+			var serialType = generator.dataType({ type: key, length: -1 }, options);
+			if (serialType !== pgType) {
+				inverse[serialType] = inverse[serialType] || { type: key, length: "-1", usesLength: false };
+			}
+		});
+		return inverse;
+	}
+
+	/**
+	 * Return the column type, length and tags for a parsed column
+	 * @param {Object} col parsed column
+	 * @param {Object} table parsed table of the column
+	 * @param {Object} parsed
+	 * @return {{type: string, length: string, enumValues: Array.<string>, default: string, identity: Object}}
+	 */
+	columnType(col, table, parsed) {
+		var enums = parsed.enums;
+		var schema = table.schema;
+		var pgType = col.type;
+		var defaultValue = col.default;
+		if (defaultValue) {
+			// 'value'::type literals only need the quoted value
+			var literal = /^('(?:[^']|'')*')::.+$/.exec(defaultValue);
+			if (literal) {
+				defaultValue = literal[1];
+			}
+		}
+
+		var enumSchema = pgType.schema || "public";
+		var enumValues = enums[enumSchema + "." + pgType.name];
+		if (enumValues && !pgType.array && this.sharedEnums[enumSchema + "." + pgType.name]) {
+			// named after the data model enumeration, qualified when it is another schema one
+			return { type: enumSchema === schema ? pgType.name : enumSchema + "." + pgType.name, length: "", default: defaultValue };
+		} else if (enumValues && !pgType.array) {
+			return { type: "enum", length: "", enumValues: enumValues, default: defaultValue };
+		}
+
+		var name = pgType.name;
+		var serial = this.serialType(col, table, parsed);
+		var sequenceName = parser.nextvalSequence(defaultValue);
+		if (serial) {
+			name = serial;
+			defaultValue = null;
+		} else if (sequenceName && parsed.sequences[sequenceName.schema + "." + sequenceName.name]) {
+			defaultValue = "sequence:" + (sequenceName.schema === schema ? "" : sequenceName.schema + ".") + sequenceName.name;
+		} else if (sequenceName) {
+			this.warnings.push("Sequence " + sequenceName.name + " of the " + table.name + "." + col.name + " default is not defined, the default is kept as is");
+		}
+
+		var mapped = this.typeMap[name];
+		if (mapped && (!pgType.length || mapped.usesLength)) {
+			var identity = col.identity && {
+				generation: col.identity.generation,
+				// pg_dump writes the default start and increment
+				start: col.identity.start === "1" && !/^-/.test(col.identity.increment || "") ? null : col.identity.start,
+				increment: col.identity.increment === "1" ? null : col.identity.increment
+			};
+			if (identity && !identity.start && !identity.increment && mapped.identity === (identity.generation || "").toUpperCase()) {
+				// generated back from the -1 length
+				return { type: mapped.type, length: "-1", default: null, identity: null };
+			}
+			return {
+				type: mapped.type + (pgType.array ? "[]" : ""),
+				length: pgType.length || mapped.length,
+				default: identity ? null : defaultValue,
+				identity: identity
+			};
+		}
+
+		// types without mapping are generated as is
+		var verbatim = pgType.schema ? pgType.schema + "." + name : name;
+		if (pgType.length) {
+			var words = verbatim.split(" ");
+			words[0] += "(" + pgType.length + ")";
+			verbatim = words.join(" ");
+		}
+		return { type: verbatim + (pgType.array ? "[]" : ""), length: "", default: defaultValue };
+	}
+
+	/**
+	 * Return the serial type of a column taking its default from the sequence a serial column
+	 * would create: named after the column, owned by it and with the default options
+	 * @param {Object} col parsed column
+	 * @param {Object} table parsed table of the column
+	 * @param {Object} parsed
+	 * @return {string} null when the column is not a serial one or the serial type has no mapping
+	 */
+	serialType(col, table, parsed) {
+		var sequenceName = parser.nextvalSequence(col.default);
+		var sequence = sequenceName && parsed.sequences[sequenceName.schema + "." + sequenceName.name];
+		var serial = { integer: "serial", smallint: "smallserial", bigint: "bigserial" }[col.type.name];
+		if (!sequence || !serial || !this.typeMap[serial]) {
+			return null;
+		}
+		var owned = sequence.ownedBy &&
+			sequence.ownedBy.schema === table.schema && sequence.ownedBy.table === table.name && sequence.ownedBy.column === col.name;
+		var isDefault = function (value) { return value === null || value === "1"; };
+		var defaults = (!sequence.type || sequence.type === col.type.name) &&
+			isDefault(sequence.increment) && isDefault(sequence.minValue) && isDefault(sequence.start) && isDefault(sequence.cache) &&
+			sequence.maxValue === null && !sequence.cycle;
+		return owned && defaults && sequence.schema === table.schema && sequence.name === table.name + "_" + col.name + "_seq" ? serial : null;
+	}
+
+	/**
+	 * Return the `sequence:<name>` tag value of a parsed sequence
+	 * @param {Object} sequence
+	 * @return {string}
+	 */
+	sequenceDefinition(sequence) {
+		var mapped = sequence.type && this.typeMap[sequence.type];
+		var descending = /^-/.test(sequence.increment || "");
+		var clauses = [
+			sequence.type ? "as " + (mapped ? mapped.type : sequence.type) : "",
+			sequence.increment && sequence.increment !== "1" ? "increment by " + sequence.increment : "",
+			sequence.minValue !== null ? "minvalue " + sequence.minValue : "",
+			sequence.maxValue !== null ? "maxvalue " + sequence.maxValue : "",
+			// pg_dump writes the default start
+			sequence.start !== null && sequence.start !== (descending ? sequence.maxValue || "-1" : sequence.minValue || "1") ? "start with " + sequence.start : "",
+			sequence.cache && sequence.cache !== "1" ? "cache " + sequence.cache : "",
+			sequence.cycle ? "cycle" : ""
+		];
+		if (sequence.ownedBy && sequence.ownedBy.schema === sequence.schema) {
+			clauses.push("owned by " + sequence.ownedBy.table + "." + sequence.ownedBy.column);
+		} else if (sequence.ownedBy) {
+			this.warnings.push("Ownership of the sequence " + sequence.name + " skipped, " + sequence.ownedBy.table + " is in another schema");
+		}
+		return clauses.filter(function (clause) { return !!clause; }).join(" ");
+	}
+
+	/**
+	 * Return the `partition_by` tag value of a parsed partition key
+	 * @param {{strategy: string, keys: Array.<string>}} key
+	 * @return {string}
+	 */
+	partitionKey(key) {
+		return key.strategy + " (" + key.keys.join(", ") + ")";
+	}
+
+	/**
+	 * Return the `partition:<name>` tag value of a parsed partition
+	 * @param {Object} partition
+	 * @param {boolean} subPartition whether the partition is a partition of another one, named by `of`
+	 * @return {string}
+	 */
+	partitionDefinition(partition, subPartition) {
+		var bound = partition.bound;
+		var bounds = {
+			range: "for values from (" + bound.from.join(", ") + ") to (" + bound.to.join(", ") + ")",
+			list: "for values in (" + bound.values.join(", ") + ")",
+			hash: "for values with (modulus " + bound.modulus + ", remainder " + bound.remainder + ")",
+			default: "default"
+		}[bound.kind];
+		return [
+			subPartition ? "of " + partition.parent.name : "",
+			bounds,
+			partition.partitionBy ? "partition by " + this.partitionKey(partition.partitionBy) : "",
+			partition.tablespace ? "tablespace " + partition.tablespace : ""
+		].filter(function (clause) { return !!clause; }).join(" ");
+	}
+
+	/**
+	 * Create the data model of a schema, with an empty diagram
+	 * @param {string} schema
+	 * @param {Object} parsed
+	 * @return {{model: type.ERDDataModel, diagram: type.ERDDiagram}}
+	 */
+	createDataModel(schema, parsed) {
+		var info = parsed.schemas[schema] || {};
+		var model = app.factory.createModel({
+			id: "ERDDataModel",
+			parent: this.project,
+			modelInitializer: function (m) {
+				m.name = schema;
+				m.documentation = info.comment || "";
+			}
+		});
+		if (schema !== "public") {
+			codegen.addStringTag("schema", model, schema);
+		}
+		var diagram = app.factory.createDiagram({
+			id: "ERDDiagram",
+			parent: model,
+			diagramInitializer: function (d) {
+				d.name = schema;
+			}
+		});
+		return { model: model, diagram: diagram };
+	}
+
+	/**
+	 * Create the entity and columns of a parsed table
+	 * @param {Object} table
+	 * @param {type.ERDDataModel} model
+	 * @param {Object} parsed
+	 * @return {{entity: type.ERDEntity, columns: Object.<string, type.ERDColumn>}} entity and its columns by name
+	 */
+	createEntity(table, model, parsed) {
+		var self = this;
+		var entity = app.factory.createModel({
+			id: "ERDEntity",
+			parent: model,
+			modelInitializer: function (e) {
+				e.name = table.name;
+				e.documentation = table.comment || "";
+			}
+		});
+
+		var primaryKeys = [],
+			uniques = [],
+			indexed = [];
+		table.constraints.forEach(function (ctr) {
+			if (ctr.kind === "primary") {
+				primaryKeys = primaryKeys.concat(ctr.columns);
+			} else if (ctr.kind === "unique") {
+				uniques.push(ctr);
+			}
+		});
+		// the indexes made of columns only are tagged on their columns, the others on the entity
+		var isPlain = function (idx) {
+			return !idx.expression && !idx.partial && idx.include.length == 0 && (!idx.method || idx.method === "btree");
+		};
+		table.indexes.forEach(function (idx) {
+			if (!isPlain(idx)) {
+				return;
+			} else if (idx.unique) {
+				uniques.push({ name: idx.name, columns: idx.columns.map(function (c) { return c.name; }) });
+			} else if (idx.columns.length == 1) {
+				indexed.push(idx.columns[0].name);
+			}
+		});
+		// single column constraints with the default name are marked on the column, the others are tagged
+		var uniqueColumns = [],
+			uniqueTags = [];
+		uniques.forEach(function (ctr) {
+			var defaultName = !ctr.name || ctr.name === table.name + "_" + ctr.columns[0] + "_key";
+			var hasOptions = ctr.nullsNotDistinct || ctr.deferrable;
+			if (ctr.columns.length == 1 && defaultName && !hasOptions) {
+				uniqueColumns.push(ctr.columns[0]);
+			} else {
+				uniqueTags.push(ctr);
+			}
+		});
+		var references = table.constraints.filter(function (ctr) { return ctr.kind === "foreign"; });
+		if (table.partitionBy) {
+			codegen.addStringTag("partition_by", entity, self.partitionKey(table.partitionBy));
+		}
+
+		var columns = {};
+		table.columns.forEach(function (parsedCol) {
+			var colType = self.columnType(parsedCol, table, parsed);
+			var isReference = references.some(function (ctr) {
+				return ctr.columns.indexOf(parsedCol.name) > -1;
+			});
+			var col = app.factory.createModel({
+				id: "ERDColumn",
+				parent: entity,
+				field: "columns",
+				modelInitializer: function (c) {
+					c.name = parsedCol.name;
+					c.type = colType.type;
+					c.length = colType.length;
+					c.nullable = parsedCol.nullable && primaryKeys.indexOf(parsedCol.name) == -1;
+					c.primaryKey = primaryKeys.indexOf(parsedCol.name) > -1;
+					c.unique = uniqueColumns.indexOf(parsedCol.name) > -1;
+					// foreign key columns get an index generated
+					c.foreignKey = isReference && indexed.indexOf(parsedCol.name) > -1;
+					c.documentation = parsedCol.comment || "";
+				}
+			});
+			if (colType.default) {
+				codegen.addStringTag("default", col, colType.default);
+			}
+			if (colType.enumValues) {
+				codegen.addStringTag("enum", col, colType.enumValues.join(", "));
+			}
+			if (colType.identity) {
+				codegen.addStringTag("identity", col, colType.identity.generation || "");
+				colType.identity.start && codegen.addStringTag("start_with", col, colType.identity.start);
+				colType.identity.increment && codegen.addStringTag("increment_by", col, colType.identity.increment);
+			}
+			if (parsedCol.generated) {
+				codegen.addStringTag("generated", col, parsedCol.generated);
+			}
+			columns[parsedCol.name] = col;
+		});
+
+		uniqueTags.forEach(function (ctr) {
+			var value = "unique" +
+				(ctr.nullsNotDistinct ? " nulls not distinct" : "") +
+				(ctr.deferrable ? " deferrable" : "") +
+				(ctr.initiallyDeferred ? " initially deferred" : "");
+			ctr.columns.forEach(function (name, seq) {
+				if (columns[name]) {
+					codegen.addUniqueTag(ctr.name || table.name + "_" + ctr.columns.join("_") + "_key", columns[name], seq, value);
+				}
+			});
+		});
+		table.indexes.forEach(function (idx) {
+			var fkIndex =
+				idx.columns.length == 1 &&
+				columns[idx.columns[0].name] &&
+				columns[idx.columns[0].name].foreignKey;
+			if (!isPlain(idx)) {
+				var value = (idx.unique ? "unique " : "") +
+					(idx.method && idx.method !== "btree" ? "using " + idx.method + " " : "") +
+					"(" + idx.keys.join(", ") + ")" +
+					(idx.include.length > 0 ? " include (" + idx.include.join(", ") + ")" : "") +
+					(idx.where ? " where " + idx.where : "");
+				codegen.addStringTag("index:" + (idx.name || "idx_" + table.name), entity, value);
+				return;
+			}
+			if (idx.unique || fkIndex) {
+				return;
+			}
+			idx.columns.forEach(function (c, seq) {
+				if (columns[c.name]) {
+					var value = "index" + (c.opclass ? " " + c.opclass : "") + (c.nulls ? " nulls " + c.nulls : "");
+					codegen.addIndexTag(idx.name || "idx_" + table.name, columns[c.name], seq, c.desc, value);
+				}
+			});
+		});
+		// check constraints named as generated, or by default, get a `check` tag, the others a `check:<name>` one
+		var unnamedChecks = 0;
+		table.constraints.forEach(function (ctr) {
+			if (ctr.kind !== "check") {
+				return;
+			}
+			var column = ctr.column ? columns[ctr.column] : null;
+			var defaultName = column ? ctr.column : "check";
+			var name = ctr.name || defaultName + (column ? "" : unnamedChecks++ || "");
+			["ck_" + table.name + "_", table.name + "_"].some(function (prefix) {
+				if (name.indexOf(prefix) == 0) {
+					name = name.substring(prefix.length);
+					return true;
+				}
+				return false;
+			});
+			if (column && name === ctr.column + "_check") {
+				name = defaultName;
+			}
+			var tagName = name === defaultName ? "check" : "check:" + name;
+			codegen.addCheckTag(tagName, column || entity, ctr.expression, ctr.notValid);
+		});
+
+		return { entity: entity, columns: columns };
+	}
+
+	/**
+	 * Tag the first column of a foreign key with its referential actions and deferrability
+	 * @param {Object} ctr parsed foreign key
+	 * @param {type.ERDColumn} col
+	 */
+	addReferenceTags(ctr, col) {
+		if (ctr.match && ctr.match !== "simple") {
+			codegen.addStringTag("match", col, ctr.match);
+		}
+		if (ctr.onDelete && ctr.onDelete !== "no action") {
+			codegen.addStringTag("on_delete", col, ctr.onDelete);
+		}
+		if (ctr.onUpdate && ctr.onUpdate !== "no action") {
+			codegen.addStringTag("on_update", col, ctr.onUpdate);
+		}
+		if (ctr.deferrable || ctr.initiallyDeferred) {
+			codegen.addStringTag("deferrable", col, ctr.initiallyDeferred ? "initially deferred" : "");
+		}
+	}
+
+	/**
+	 * Import a DDL script into the project, one data model per schema
+	 * @param {string} sql
+	 * @return {{tables: number, warnings: Array.<string>}}
+	 */
+	importDDL(sql) {
+		var self = this;
+		var parsed = parser.parse(sql);
+		self.warnings = self.warnings.concat(parsed.warnings);
+
+		var models = {},
+			created = {};
+
+		// the partitions attached to their table by pg_dump are first created as tables, their
+		// columns, constraints and indexes being the ones of the partitioned table
+		Object.keys(parsed.partitions).forEach(function (key) {
+			var partition = parsed.partitions[key];
+			if (parsed.tables[key]) {
+				partition.partitionBy = partition.partitionBy || parsed.tables[key].partitionBy;
+				delete parsed.tables[key];
+			}
+		});
+		var dataModel = function (schema) {
+			if (!models[schema]) {
+				models[schema] = self.createDataModel(schema, parsed);
+				models[schema].count = 0;
+			}
+			return models[schema];
+		};
+
+		// the enumerations used by the only column they are named after get the enum type, the
+		// other ones are declared by their data model
+		var enumColumns = {};
+		Object.keys(parsed.tables).forEach(function (key) {
+			parsed.tables[key].columns.forEach(function (col) {
+				var enumKey = (col.type.schema || "public") + "." + col.type.name;
+				if (parsed.enums[enumKey] && !col.type.array) {
+					(enumColumns[enumKey] = enumColumns[enumKey] || []).push(key + "_" + col.name);
+				}
+			});
+		});
+		Object.keys(parsed.enums).forEach(function (enumKey) {
+			var uses = enumColumns[enumKey] || [];
+			if (uses.length == 1 && uses[0] === enumKey) {
+				return;
+			}
+			self.sharedEnums[enumKey] = true;
+			var dot = enumKey.indexOf(".");
+			codegen.addStringTag("enum:" + enumKey.substring(dot + 1), dataModel(enumKey.substring(0, dot)).model, parsed.enums[enumKey].join(", "));
+		});
+
+		// the sequences of the serial columns are created along with them
+		var serialSequences = {};
+		Object.keys(parsed.tables).forEach(function (key) {
+			var table = parsed.tables[key];
+			table.columns.forEach(function (col) {
+				if (self.serialType(col, table, parsed)) {
+					var sequenceName = parser.nextvalSequence(col.default);
+					serialSequences[sequenceName.schema + "." + sequenceName.name] = true;
+				}
+			});
+		});
+		Object.keys(parsed.sequences).forEach(function (key) {
+			var sequence = parsed.sequences[key];
+			if (!serialSequences[key]) {
+				codegen.addStringTag("sequence:" + sequence.name, dataModel(sequence.schema).model, self.sequenceDefinition(sequence));
+			}
+		});
+
+		Object.keys(parsed.tables).forEach(function (key) {
+			var table = parsed.tables[key];
+			var target = dataModel(table.schema);
+			created[key] = self.createEntity(table, target.model, parsed);
+
+			var pos = target.count++;
+			app.factory.createViewOf({
+				model: created[key].entity,
+				diagram: target.diagram,
+				x: LAYOUT.margin + (pos % LAYOUT.columns) * LAYOUT.width,
+				y: LAYOUT.margin + Math.floor(pos / LAYOUT.columns) * LAYOUT.height
+			});
+		});
+
+		// the partitions, sub-partitions included, are tags of the partitioned table
+		Object.keys(parsed.partitions).forEach(function (key) {
+			var partition = parsed.partitions[key];
+			var rootKey = partition.parent.schema + "." + partition.parent.name;
+			for (var seen = {}; parsed.partitions[rootKey] && !seen[rootKey];) {
+				seen[rootKey] = true;
+				rootKey = parsed.partitions[rootKey].parent.schema + "." + parsed.partitions[rootKey].parent.name;
+			}
+			var root = parsed.tables[rootKey];
+			if (!root || !root.partitionBy) {
+				self.warnings.push("Partition " + partition.name + " skipped, " + partition.parent.name + " is not a partitioned table");
+			} else if (root.schema !== partition.schema) {
+				self.warnings.push("Partition " + partition.name + " skipped, it is not in the schema of " + root.name);
+			} else {
+				var subPartition = !!parsed.partitions[partition.parent.schema + "." + partition.parent.name];
+				codegen.addStringTag("partition:" + partition.name, created[rootKey].entity, self.partitionDefinition(partition, subPartition));
+			}
+		});
+
+		// references, once all the columns exist
+		Object.keys(parsed.tables).forEach(function (key) {
+			parsed.tables[key].constraints.forEach(function (ctr) {
+				if (ctr.kind !== "foreign") {
+					return;
+				}
+				var target = created[ctr.target.schema + "." + ctr.target.name];
+				if (!target) {
+					self.warnings.push("Foreign key " + (ctr.name || "on " + key) + " skipped, " + ctr.target.name + " is not defined");
+					return;
+				}
+				// the primary key is referenced when the columns are omitted
+				var refColumns = ctr.targetColumns.length > 0
+					? ctr.targetColumns.map(function (name) { return target.columns[name]; })
+					: target.entity.columns.filter(function (c) { return c.primaryKey; });
+				ctr.columns.forEach(function (name, idx) {
+					var col = created[key].columns[name];
+					if (col && refColumns[idx]) {
+						app.engine.setProperty(col, "referenceTo", refColumns[idx]);
+					}
+				});
+				var first = created[key].columns[ctr.columns[0]];
+				if (first) {
+					self.addReferenceTags(ctr, first);
+				}
+			});
+		});
+
+		return { tables: Object.keys(parsed.tables).length, warnings: self.warnings };
+	}
+}
+
+/**
+ * Import a DDL script into a project
+ * @param {type.Project} project
+ * @param {string} sql
+ * @param {Object} options
+ * @return {{tables: number, warnings: Array.<string>}}
+ */
+function importDDL(project, sql, options) {
+	var importer = new DDLImporter(project, options);
+	return importer.importDDL(sql);
+}
+
+exports.importDDL = importDDL;
@@ -21,27 +21,69 @@
  *
  */
 
+const fs = require('fs')
+const path = require('path')
+const { clipboard } = require('electron')
+const codegen = require('./codegen-utils')
 const ddlGenerator = require('./generator')
+const ddlImporter = require('./importer')
+const ddlValidator = require('./validator')
+const genOptions = require('./options')
 
 function getGenOptions() {
-  return {
-    owner: app.preferences.get('psqlddl.gen.owner'),
-    tablespace: app.preferences.get('psqlddl.gen.tablespace'),
-    encoding: app.preferences.get('psqlddl.gen.encoding'),
-    collation: app.preferences.get('psqlddl.gen.collation'),
-    foreignKeyConstraint: app.preferences.get('psqlddl.gen.foreignKeyConstraint'),
-    useTab: app.preferences.get('psqlddl.gen.useTab'),
-    indentSpaces: app.preferences.get('psqlddl.gen.indentSpaces'),
-    procedure: app.preferences.get('psqlddl.gen.procedureTag'),
-    function: app.preferences.get('psqlddl.gen.functionTag'),
-    trigger: app.preferences.get('psqlddl.gen.triggerTag'),
-    singleFile: app.preferences.get('psqlddl.gen.singleFile'),
-    dropStatements: app.preferences.get('psqlddl.gen.dropStatements'),
-    tableInserts: app.preferences.get('psqlddl.gen.tableInserts'),
-  };
+  var options = genOptions.getGenOptions(function (key) {
+    return app.preferences.get(key)
+  })
+  var filename = app.project.getFilename()
+  return genOptions.resolveFiles(options, filename ? path.dirname(filename) : null)
 }
 
 
+/**
+ * Show the validation issues, selecting the element of the picked one
+ *
+ * @param {Array.<Object>} issues
+ */
+function showIssues(issues) {
+  var errors = issues.filter(function (issue) {
+    return issue.severity === 'error'
+  }).length
+  var items = issues.map(function (issue, idx) {
+    return {
+      value: idx,
+      text: issue.severity + ': ' + (issue.path ? issue.path + ': ' : '') + issue.message
+    }
+  })
+  var message = errors + ' error(s) and ' + (issues.length - errors) + ' warning(s) found, pick one to select its element'
+  app.dialogs.showSelectDropdownDialog(message, items).then(function ({
+    buttonId,
+    returnValue
+  }) {
+    if (buttonId === 'ok') {
+      app.modelExplorer.select(issues[returnValue].element, true)
+    }
+  })
+}
+
+/**
+ * Validate the project then generate its DDL, unless the validation found errors
+ *
+ * @param {Element} base
+ * @param {string} path
+ * @param {Object} options
+ */
+function generate(base, path, options) {
+  var issues = ddlValidator.validate(base, options)
+  var valid = !issues.some(function (issue) {
+    return issue.severity === 'error'
+  })
+  if (valid) {
+    ddlGenerator.generate(base, path, options)
+  } else {
+    showIssues(issues)
+  }
+}
+
 /**
  * Command Handler for DDL Generation
  *
@@ -68,10 +110,10 @@ function _handleGenerate(base, path, options) {
           })
           if (files && files.length > 0) {
             path = files[0]
-            ddlGenerator.generate(base, path, options)
+            generate(base, path, options)
           }
         } else {
-          ddlGenerator.generate(base, path, options)
+          generate(base, path, options)
         }
       }
     })
@@ -83,11 +125,238 @@ function _handleGenerate(base, path, options) {
       })
       if (files && files.length > 0) {
         path = files[0]
-        ddlGenerator.generate(base, path, options)
+        generate(base, path, options)
       }
     } else {
-      ddlGenerator.generate(base, path, options)
+      generate(base, path, options)
+    }
+  }
+}
+
+/**
+ * Show the generated files, the SQL ones highlighted, along with the diagnostics of the generation,
+ * selecting the element of the picked one
+ *
+ * @param {string} title
+ * @param {{files: Object.<string, string>, diagnostics: Array.<Object>}} result
+ */
+function showPreview(title, result) {
+  var template = fs.readFileSync(path.join(__dirname, 'dialogs', 'preview-dialog.html'), 'utf8')
+  var $dlg = app.dialogs.showModalDialogUsingTemplate(template).getElement()
+  var $code = $dlg.find('.preview-code')
+  var items = {}
+  var current = null
+  var show = function (name) {
+    current && items[current].classList.remove('selected')
+    current = name
+    items[name].classList.add('selected')
+    if (/\.sql$/.test(name)) {
+      $code.html(codegen.highlightSQL(result.files[name]))
+    } else {
+      $code.text(result.files[name])
+    }
+  }
+
+  $dlg.find('.dialog-title').text(title)
+  Object.keys(result.files).forEach(function (name) {
+    var item = document.createElement('li')
+    item.textContent = name
+    item.addEventListener('click', function () {
+      show(name)
+    })
+    items[name] = item
+    $dlg.find('.preview-files').append(item)
+  })
+  result.diagnostics.forEach(function (diagnostic) {
+    var item = document.createElement('li')
+    item.textContent = diagnostic.severity + ': ' + diagnostic.message
+    item.addEventListener('click', function () {
+      var element = diagnostic.elementId && app.repository.get(diagnostic.elementId)
+      if (element) {
+        app.modelExplorer.select(element, true)
+      }
+    })
+    $dlg.find('.preview-warnings').append(item)
+  })
+  if (result.diagnostics.length == 0) {
+    var item = document.createElement('li')
+    item.textContent = 'No warning'
+    $dlg.find('.preview-warnings').append(item)
+  }
+  show(Object.keys(result.files)[0])
+
+  $dlg.find('.preview-copy').click(function () {
+    clipboard.writeText(result.files[current])
+    app.toast.info(current + ' copied to the clipboard')
+  })
+  $dlg.find('.preview-save').click(function () {
+    var file = app.dialogs.showSaveDialog('Save ' + current, current)
+    if (file) {
+      fs.writeFileSync(file, result.files[current])
+    }
+  })
+  $dlg.find('.preview-save-all').click(function () {
+    var files = app.dialogs.showOpenDialog('Pick the folder where the previewed files will be saved', null, null, {
+      properties: ['openDirectory']
+    })
+    if (files && files.length > 0) {
+      ddlGenerator.writeFiles(result.files, files[0])
+      app.toast.info('Previewed files saved in ' + files[0])
+    }
+  })
+}
+
+/**
+ * Command Handler for DDL Preview, generating the files in memory
+ *
+ * @param {Element} base
+ * @param {Object} options
+ * @param {boolean} selected preview the selected entity only
+ */
+function _handlePreview(base, options, selected) {
+  // If options is not passed, get from preference
+  options = options || getGenOptions()
+  base = base || app.project.getProject()
+  var entity = null
+  if (selected) {
+    entity = app.selections.getSelected()
+    if (!(entity instanceof type.ERDEntity)) {
+      app.dialogs.showInfoDialog('Select the entity whose DDL is previewed')
+      return
+    }
+  }
+  try {
+    var result = ddlGenerator.generateFiles(base, options, entity)
+    showPreview('PostgreSQL DDL preview of ' + (entity || base).name, result)
+  } catch (ex) {
+    app.dialogs.showErrorDialog('DDL preview failed: ' + ex)
+    console.log(ex)
+  }
+}
+
+/**
+ * Command Handler for the DDL Preview of the selected entity
+ */
+function _handlePreviewSelected() {
+  _handlePreview(null, null, true)
+}
+
+/**
+ * Command Handler for DDL Generation in memory, for the other extensions: the project is
+ * validated then generated, nothing being written nor shown. The files are only generated
+ * when the validation finds no error.
+ *
+ * @param {Element} base
+ * @param {Object} options
+ * @return {{files: Object.<string, string>, diagnostics: Array.<Object>}}
+ */
+function _handleGenerateToMemory(base, options) {
+  // If options is not passed, get from preference
+  options = options || getGenOptions()
+  base = base || app.project.getProject()
+  var diagnostics = ddlValidator.validate(base, options).map(function (issue) {
+    return {
+      severity: issue.severity,
+      message: (issue.path ? issue.path + ': ' : '') + issue.message,
+      elementId: issue.element ? issue.element._id : null
+    }
+  })
+  if (diagnostics.some(function (diagnostic) { return diagnostic.severity === 'error' })) {
+    return { files: {}, diagnostics: diagnostics }
+  }
+  var result = ddlGenerator.generateFiles(base, options)
+  return { files: result.files, diagnostics: diagnostics.concat(result.diagnostics) }
+}
+
+/**
+ * Command Handler for Model Validation
+ *
+ * @param {Element} base
+ * @param {Object} options
+ */
+function _handleValidate(base, options) {
+  // If options is not passed, get from preference
+  options = options || getGenOptions()
+  base = base || app.project.getProject()
+  var issues = ddlValidator.validate(base, options)
+  if (issues.length > 0) {
+    showIssues(issues)
+  } else {
+    app.dialogs.showInfoDialog('No problem found in ' + base.name)
+  }
+}
+
+/**
+ * Command Handler for Migration Generation
+ *
+ * @param {Element} base
+ * @param {string} snapshotFile
+ * @param {Object} options
+ */
+function _handleMigrate(base, snapshotFile, options) {
+  // If options is not passed, get from preference
+  options = options || getGenOptions()
+  var migrate = function () {
+    // If snapshot is not assigned, popup Open Dialog to pick one
+    if (!snapshotFile) {
+      var files = app.dialogs.showOpenDialog('Pick the snapshot the migration starts from', null, [{
+        name: 'Schema snapshot',
+        extensions: ['json']
+      }])
+      if (files && files.length > 0) {
+        snapshotFile = files[0]
+      }
+    }
+    if (snapshotFile) {
+      ddlGenerator.migrate(base, snapshotFile, options)
+    }
+  }
+  // If base is not assigned, popup ElementPicker
+  if (!base) {
+    app.elementPickerDialog.showDialog('Select a project to generate the migration for', null, type.Project).then(function ({
+      buttonId,
+      returnValue
+    }) {
+      if (buttonId === 'ok') {
+        base = returnValue
+        migrate()
+      }
+    })
+  } else {
+    migrate()
+  }
+}
+
+/**
+ * Command Handler for DDL Import
+ *
+ * @param {string} file
+ * @param {Object} options
+ */
+function _handleImport(file, options) {
+  // If options is not passed, get from preference
+  options = options || getGenOptions()
+  // If file is not assigned, popup Open Dialog to pick one
+  if (!file) {
+    var files = app.dialogs.showOpenDialog('Pick the schema only pg_dump or DDL file to import', null, [{
+      name: 'SQL script',
+      extensions: ['sql']
+    }])
+    if (!files || files.length == 0) {
+      return
+    }
+    file = files[0]
+  }
+  try {
+    var result = ddlImporter.importDDL(app.project.getProject(), fs.readFileSync(file, 'utf8'), options)
+    var message = result.tables + ' table(s) imported from ' + file
+    if (result.warnings.length > 0) {
+      message += '\n\n' + result.warnings.join('\n')
     }
+    app.dialogs.showInfoDialog(message)
+  } catch (ex) {
+    app.dialogs.showErrorDialog('DDL import failed: ' + ex)
+    console.log(ex)
   }
 }
 
@@ -100,6 +369,12 @@ function _handleConfigure() {
 
 function init() {
   app.commands.register('psqlddl:generate', _handleGenerate)
+  app.commands.register('psqlddl:generate-to-memory', _handleGenerateToMemory)
+  app.commands.register('psqlddl:preview', _handlePreview)
+  app.commands.register('psqlddl:preview-selected', _handlePreviewSelected)
+  app.commands.register('psqlddl:validate', _handleValidate)
+  app.commands.register('psqlddl:migrate', _handleMigrate)
+  app.commands.register('psqlddl:import', _handleImport)
   app.commands.register('psqlddl:configure', _handleConfigure)
 }
 
@@ -0,0 +1,383 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+const codegen = require("./codegen-utils");
+
+/** Sections of a migration script, in execution order */
+const MIGRATION_SECTIONS = [
+	"types",
+	"dropForeignKeys",
+	"dropConstraints",
+	"dropIndexes",
+	"tables",
+	"addColumns",
+	"alterColumns",
+	"dropColumns",
+	"dropTables",
+	"addConstraints",
+	"addForeignKeys",
+	"indexes",
+	"dropTypes"
+];
+
+/**
+ * Return the items keyed by their name
+ * @param {Array.<Object>} items
+ * @return {Object.<string, Object>}
+ */
+function byName(items) {
+	var map = {};
+	(items || []).forEach(function (item) {
+		map[item.name] = item;
+	});
+	return map;
+}
+
+/** Integer types of the serial types */
+const SERIAL_BASE_TYPES = {
+	smallserial: "smallint",
+	serial: "integer",
+	bigserial: "bigint"
+};
+
+function columnDeclaration(col) {
+	return col.name + " " + col.type +
+		(col.generated ? " GENERATED ALWAYS AS (" + col.generated + ") STORED" : "") +
+		(col.identity ? " " + codegen.identityClause(col.identity) : "") +
+		(col.notNull ? " NOT NULL" : "") +
+		(col.default ? " DEFAULT " + col.default : "");
+}
+
+/**
+ * Migration script writer, counting the changes and the destructive ones
+ */
+class MigrationWriter {
+	/**
+	 * MigrationWriter
+	 * @constructor
+	 * @param {string} indentString
+	 */
+	constructor(indentString) {
+		/** @member {string} */
+		this.indentString = indentString;
+
+		/** @member {DDLScript} */
+		this.script = new codegen.DDLScript(indentString, MIGRATION_SECTIONS);
+
+		/** @member {number} */
+		this.changes = 0;
+
+		/** @member {number} */
+		this.destructive = 0;
+	}
+
+	/**
+	 * Write a migration statement
+	 * @param {string} section
+	 * @param {string} statement
+	 * @param {string} warning optional warning, written before the statement
+	 */
+	write(section, statement, warning) {
+		var writer = this.script.section(section);
+		if (warning) {
+			writer.writeLine("-- WARNING: " + warning);
+		}
+		writer.writeLine(statement);
+		this.changes++;
+	}
+
+	/**
+	 * Write a statement that may lose data
+	 * @param {string} section
+	 * @param {string} statement
+	 * @param {string} reason
+	 */
+	writeDestructive(section, statement, reason) {
+		this.write(section, statement, "destructive, " + reason);
+		this.destructive++;
+	}
+}
+
+function diffEnums(writer, previous, current) {
+	Object.keys(current).forEach(function (name) {
+		var values = current[name];
+		var previousValues = previous[name];
+		if (!previousValues) {
+			writer.write("types", "CREATE TYPE " + name + " AS ENUM(" + codegen.enumAsList(values.join(",")) + ");");
+			writer.write("types", "CREATE CAST (CHARACTER VARYING AS " + name + ") WITH INOUT AS IMPLICIT;");
+			return;
+		}
+		values.forEach(function (value, idx) {
+			if (previousValues.indexOf(value) == -1) {
+				var position = idx > 0 ? " AFTER " + codegen.enumAsList(values[idx - 1]) : "";
+				writer.write("types", "ALTER TYPE " + name + " ADD VALUE IF NOT EXISTS " + codegen.enumAsList(value) + position + ";");
+			}
+		});
+		previousValues.forEach(function (value) {
+			if (values.indexOf(value) == -1) {
+				writer.writeDestructive(
+					"types",
+					"-- ALTER TYPE " + name + " cannot drop the value '" + value + "'",
+					"enumeration values cannot be removed, recreate the type manually"
+				);
+			}
+		});
+	});
+	Object.keys(previous).forEach(function (name) {
+		if (!current[name]) {
+			writer.writeDestructive("dropTypes", "DROP TYPE " + name + " CASCADE;", "the type columns are dropped too");
+		}
+	});
+}
+
+function createTable(writer, table, current) {
+	var lines = current.columns.map(columnDeclaration);
+	current.constraints.forEach(function (ctr) {
+		if (ctr.kind === "foreign") {
+			writer.write("addForeignKeys", "ALTER TABLE " + table + " ADD CONSTRAINT " + ctr.name + " " + ctr.definition + ";");
+		} else {
+			lines.push("CONSTRAINT " + ctr.name + " " + ctr.definition);
+		}
+	});
+	var separator = "\n" + writer.indentString;
+	var partitionBy = current.partitionBy ? " " + current.partitionBy : "";
+	writer.write("tables", "CREATE TABLE " + table + " (" + separator + lines.join("," + separator) + "\n)" + partitionBy + ";");
+	(current.partitions || []).forEach(function (partition) {
+		writer.write("tables", partition.definition + ";");
+	});
+	current.indexes.forEach(function (idx) {
+		writer.write("indexes", idx.definition + ";");
+	});
+}
+
+function diffPartitions(writer, table, previous, current) {
+	if ((previous.partitionBy || null) !== (current.partitionBy || null)) {
+		writer.writeDestructive(
+			"tables",
+			"-- ALTER TABLE " + table + " cannot change its partitioning to: " + (current.partitionBy || "none"),
+			"the partitioning of a table cannot be changed, recreate the table manually"
+		);
+		return;
+	}
+	var previousPartitions = byName(previous.partitions);
+	var currentPartitions = byName(current.partitions);
+	(current.partitions || []).forEach(function (partition) {
+		var old = previousPartitions[partition.name];
+		if (old && old.definition !== partition.definition) {
+			writer.writeDestructive("tables", "DROP TABLE IF EXISTS " + partition.name + ";", "the partition bounds changed, its data is lost");
+		}
+		if (!old || old.definition !== partition.definition) {
+			writer.write("tables", partition.definition + ";");
+		}
+	});
+	(previous.partitions || []).forEach(function (partition) {
+		if (!currentPartitions[partition.name]) {
+			writer.writeDestructive("dropTables", "DROP TABLE IF EXISTS " + partition.name + ";", "the partition data is lost");
+		}
+	});
+}
+
+function diffColumns(writer, table, previous, current) {
+	var previousColumns = byName(previous.columns);
+	var currentColumns = byName(current.columns);
+	current.columns.forEach(function (col) {
+		var old = previousColumns[col.name];
+		var alter = "ALTER TABLE " + table + " ALTER COLUMN " + col.name;
+		if (!old) {
+			writer.write(
+				"addColumns",
+				"ALTER TABLE " + table + " ADD COLUMN " + columnDeclaration(col) + ";",
+				col.notNull && !col.default ? "NOT NULL column without default, fails if the table has rows" : null
+			);
+			return;
+		}
+		var fromSerial = SERIAL_BASE_TYPES[old.type] === col.type;
+		if (fromSerial) {
+			// the type stays, the sequence is left in place
+			col.default || writer.write("alterColumns", alter + " DROP DEFAULT;", "the column is no longer serial, its sequence is kept");
+		} else if (old.type !== col.type) {
+			if (col.type.indexOf("serial") > -1) {
+				writer.write(
+					"alterColumns",
+					"-- " + alter + " TYPE " + col.type + ";",
+					"serial types cannot be altered to, create a sequence and set the column default manually"
+				);
+			} else {
+				writer.writeDestructive(
+					"alterColumns",
+					alter + " TYPE " + col.type + " USING " + col.name + "::" + col.type + ";",
+					"type changed from " + old.type + ", values may be truncated or fail to convert"
+				);
+			}
+		}
+		if (old.notNull !== col.notNull) {
+			if (col.notNull) {
+				writer.write("alterColumns", alter + " SET NOT NULL;", "fails if the column holds NULL values");
+			} else {
+				writer.write("alterColumns", alter + " DROP NOT NULL;");
+			}
+		}
+		if (old.default !== col.default) {
+			writer.write("alterColumns", alter + (col.default ? " SET DEFAULT " + col.default : " DROP DEFAULT") + ";");
+		}
+		diffGeneration(writer, table, old, col);
+	});
+	previous.columns.forEach(function (col) {
+		if (!currentColumns[col.name]) {
+			writer.writeDestructive(
+				"dropColumns",
+				"ALTER TABLE " + table + " DROP COLUMN " + col.name + ";",
+				"the column data is lost"
+			);
+		}
+	});
+}
+
+/**
+ * Write the changes of the identity or the generation expression of a column
+ * @param {MigrationWriter} writer
+ * @param {string} table
+ * @param {Object} old previous column snapshot
+ * @param {Object} col current column snapshot
+ */
+function diffGeneration(writer, table, old, col) {
+	var alter = "ALTER TABLE " + table + " ALTER COLUMN " + col.name;
+	var oldIdentity = old.identity || null,
+		identity = col.identity || null;
+	if (!oldIdentity && identity) {
+		writer.write(
+			"alterColumns",
+			alter + " ADD " + codegen.identityClause(identity) + ";",
+			"the identity starts over, restart it above the existing values"
+		);
+	} else if (oldIdentity && !identity) {
+		writer.write("alterColumns", alter + " DROP IDENTITY IF EXISTS;");
+	} else if (identity) {
+		var changes = [];
+		oldIdentity.generation !== identity.generation && changes.push(" SET GENERATED " + identity.generation);
+		(oldIdentity.start || "") !== (identity.start || "") && changes.push(" SET START WITH " + (identity.start || 1));
+		(oldIdentity.increment || "") !== (identity.increment || "") && changes.push(" SET INCREMENT BY " + (identity.increment || 1));
+		if (changes.length > 0) {
+			writer.write("alterColumns", alter + changes.join("") + ";");
+		}
+	}
+
+	var oldExpression = old.generated || null,
+		expression = col.generated || null;
+	if (oldExpression === expression) {
+		return;
+	}
+	if (!expression) {
+		// the computed values are kept as plain values
+		writer.write("alterColumns", alter + " DROP EXPRESSION;");
+	} else if (oldExpression) {
+		writer.write("alterColumns", alter + " SET EXPRESSION AS (" + expression + ");", "PostgreSQL 17 and later, the table is rewritten");
+	} else {
+		writer.writeDestructive(
+			"alterColumns",
+			"ALTER TABLE " + table + " DROP COLUMN " + col.name + ", ADD COLUMN " + columnDeclaration(col) + ";",
+			"a column cannot become generated, its values are replaced by the computed ones"
+		);
+	}
+}
+
+function diffConstraints(writer, table, previous, current) {
+	var previousConstraints = byName(previous.constraints);
+	var currentConstraints = byName(current.constraints);
+	previous.constraints.forEach(function (ctr) {
+		var cur = currentConstraints[ctr.name];
+		if (!cur || cur.definition !== ctr.definition) {
+			writer.write(
+				ctr.kind === "foreign" ? "dropForeignKeys" : "dropConstraints",
+				"ALTER TABLE " + table + " DROP CONSTRAINT IF EXISTS " + ctr.name + ";"
+			);
+		}
+	});
+	current.constraints.forEach(function (ctr) {
+		var old = previousConstraints[ctr.name];
+		if (!old || old.definition !== ctr.definition) {
+			// existing rows are left unchecked by NOT VALID checks
+			var notValid = ctr.kind === "check" && ctr.notValid ? " NOT VALID" : "";
+			writer.write(
+				ctr.kind === "foreign" ? "addForeignKeys" : "addConstraints",
+				"ALTER TABLE " + table + " ADD CONSTRAINT " + ctr.name + " " + ctr.definition + notValid + ";"
+			);
+		}
+	});
+}
+
+function diffIndexes(writer, previous, current) {
+	var previousIndexes = byName(previous.indexes);
+	var currentIndexes = byName(current.indexes);
+	previous.indexes.forEach(function (idx) {
+		var cur = currentIndexes[idx.name];
+		if (!cur || cur.definition !== idx.definition) {
+			writer.write("dropIndexes", "DROP INDEX IF EXISTS " + previous.schema + "." + idx.name + ";");
+		}
+	});
+	current.indexes.forEach(function (idx) {
+		var old = previousIndexes[idx.name];
+		if (!old || old.definition !== idx.definition) {
+			writer.write("indexes", idx.definition + ";");
+		}
+	});
+}
+
+/**
+ * Compare two physical schema snapshots and return the migration script
+ * turning the previous schema into the current one
+ * @param {Object} previous snapshot
+ * @param {Object} current snapshot
+ * @param {string} indentString
+ * @return {{data: string, changes: number, destructive: number}}
+ */
+function diffSnapshots(previous, current, indentString) {
+	var writer = new MigrationWriter(indentString);
+
+	diffEnums(writer, previous.enums || {}, current.enums || {});
+
+	Object.keys(current.tables).forEach(function (table) {
+		var old = previous.tables[table];
+		if (!old) {
+			createTable(writer, table, current.tables[table]);
+			return;
+		}
+		diffPartitions(writer, table, old, current.tables[table]);
+		diffConstraints(writer, table, old, current.tables[table]);
+		diffIndexes(writer, old, current.tables[table]);
+		diffColumns(writer, table, old, current.tables[table]);
+	});
+	Object.keys(previous.tables).forEach(function (table) {
+		if (!current.tables[table]) {
+			writer.writeDestructive("dropTables", "DROP TABLE IF EXISTS " + table + " CASCADE;", "the table data is lost");
+		}
+	});
+
+	return {
+		data: writer.script.getData(),
+		changes: writer.changes,
+		destructive: writer.destructive
+	};
+}
+
+exports.diffSnapshots = diffSnapshots;
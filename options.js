@@ -0,0 +1,85 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+const path = require("path");
+
+/** Generator option names and the preferences they are read from */
+const PREFERENCES = {
+	owner: "psqlddl.gen.owner",
+	tablespace: "psqlddl.gen.tablespace",
+	encoding: "psqlddl.gen.encoding",
+	collation: "psqlddl.gen.collation",
+	foreignKeyConstraint: "psqlddl.gen.foreignKeyConstraint",
+	useTab: "psqlddl.gen.useTab",
+	indentSpaces: "psqlddl.gen.indentSpaces",
+	procedure: "psqlddl.gen.procedureTag",
+	function: "psqlddl.gen.functionTag",
+	trigger: "psqlddl.gen.triggerTag",
+	singleFile: "psqlddl.gen.singleFile",
+	dropStatements: "psqlddl.gen.dropStatements",
+	idempotent: "psqlddl.gen.idempotent",
+	tableInserts: "psqlddl.gen.tableInserts",
+	seedFormat: "psqlddl.gen.seedFormat",
+	naming: "psqlddl.gen.namingStrategy",
+	quoting: "psqlddl.gen.quoting",
+	keywordCase: "psqlddl.gen.keywordCase",
+	typeMapping: "psqlddl.gen.typeMappingFile",
+	identity: "psqlddl.gen.identity"
+};
+
+/** Options naming files, relative ones being resolved against the model file directory */
+const FILE_OPTIONS = ["typeMapping"];
+
+/**
+ * Return the generator options
+ * @param {function(string): *} getPreference returns the value of a preference
+ * @return {Object}
+ */
+function getGenOptions(getPreference) {
+	var options = {};
+	Object.keys(PREFERENCES).forEach(function (name) {
+		options[name] = getPreference(PREFERENCES[name]);
+	});
+	return options;
+}
+
+/**
+ * Resolve the relative file options against a directory, kept as the `baseDir` option
+ * for the files named by the model tags
+ * @param {Object} options
+ * @param {string} baseDir usually the model file directory
+ * @return {Object} the options
+ */
+function resolveFiles(options, baseDir) {
+	FILE_OPTIONS.forEach(function (name) {
+		if (options[name] && baseDir) {
+			options[name] = path.resolve(baseDir, options[name]);
+		}
+	});
+	options.baseDir = baseDir;
+	return options;
+}
+
+exports.PREFERENCES = PREFERENCES;
+exports.getGenOptions = getGenOptions;
+exports.resolveFiles = resolveFiles;
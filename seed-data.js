@@ -0,0 +1,214 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const fs = require("fs");
+const path = require("path");
+
+/** PostgreSQL types whose values are written as numbers */
+const NUMBER_TYPE = /^(smallint|integer|bigint|int[248]?|numeric|decimal|real|double precision|float[48]?|(small|big)?serial[248]?)\b(?!.*\[\])/i;
+
+/** Boolean column values and what they stand for */
+const BOOLEAN_VALUES = {
+	true: true,
+	t: true,
+	yes: true,
+	y: true,
+	on: true,
+	1: true,
+	false: false,
+	f: false,
+	no: false,
+	n: false,
+	off: false,
+	0: false
+};
+
+/**
+ * Split a CSV text into rows of values: the values are separated by commas, may be double
+ * quoted to hold commas, quotes or line breaks, and the empty unquoted ones are NULL
+ * @param {string} text
+ * @return {Array.<Array.<string>>} rows, null standing for NULL values
+ */
+function parseCsv(text) {
+	var rows = [],
+		row = [],
+		value = "",
+		quoted = false,
+		inQuotes = false;
+	var endValue = function () {
+		row.push(quoted || value.trim() !== "" ? (quoted ? value : value.trim()) : null);
+		value = "";
+		quoted = false;
+	};
+	text = text.replace(/\r\n?/g, "\n");
+	for (var i = 0; i < text.length; i++) {
+		var c = text.charAt(i);
+		if (inQuotes) {
+			if (c === '"' && text.charAt(i + 1) === '"') {
+				value += '"';
+				i++;
+			} else if (c === '"') {
+				inQuotes = false;
+			} else {
+				value += c;
+			}
+		} else if (c === '"' && value.trim() === "") {
+			inQuotes = quoted = true;
+			value = "";
+		} else if (c === ",") {
+			endValue();
+		} else if (c === "\n") {
+			endValue();
+			rows.push(row);
+			row = [];
+		} else {
+			value += c;
+		}
+	}
+	endValue();
+	rows.push(row);
+	// blank lines hold no row
+	return rows.filter(function (r) {
+		return r.length > 1 || r[0] !== null;
+	});
+}
+
+/**
+ * Return how the values of a PostgreSQL type are written: number, boolean or text
+ * @param {string} pgType
+ * @return {string}
+ */
+function valueKind(pgType) {
+	if (NUMBER_TYPE.test(pgType || "")) {
+		return "number";
+	}
+	return /^boolean$/i.test(pgType || "") ? "boolean" : "text";
+}
+
+/**
+ * Return whether a value fits its kind, the text ones always do
+ * @param {string} value
+ * @param {string} kind
+ * @return {boolean}
+ */
+function isValid(value, kind) {
+	if (value === null || kind === "text") {
+		return true;
+	}
+	if (kind === "number") {
+		return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value.trim()) || /^[-+]?(nan|infinity)$/i.test(value.trim());
+	}
+	return BOOLEAN_VALUES.hasOwnProperty(value.trim().toLowerCase());
+}
+
+/**
+ * Return the SQL literal of a value; the values not fitting their kind are quoted, left to
+ * the database to reject
+ * @param {string} value null for NULL
+ * @param {string} kind number, boolean or text
+ * @return {string}
+ */
+function sqlLiteral(value, kind) {
+	if (value === null) {
+		return "NULL";
+	}
+	if (isValid(value, kind) && kind === "number" && /\d/.test(value)) {
+		return value.trim();
+	}
+	if (isValid(value, kind) && kind === "boolean") {
+		return BOOLEAN_VALUES[value.trim().toLowerCase()] ? "TRUE" : "FALSE";
+	}
+	return "'" + value.replace(/'/g, "''") + "'";
+}
+
+/**
+ * Return a value in the COPY text format
+ * @param {string} value null for NULL
+ * @param {string} kind number, boolean or text
+ * @return {string}
+ */
+function copyValue(value, kind) {
+	if (value === null) {
+		return "\\N";
+	}
+	if (isValid(value, kind) && kind === "boolean") {
+		return BOOLEAN_VALUES[value.trim().toLowerCase()] ? "t" : "f";
+	}
+	return (kind === "number" ? value.trim() : value)
+		.replace(/\\/g, "\\\\")
+		.replace(/\t/g, "\\t")
+		.replace(/\n/g, "\\n")
+		.replace(/\r/g, "\\r");
+}
+
+/**
+ * Read the seed data of an entity: the CSV text of its `seed` tag or the CSV file named by its
+ * `seed_file` tag, relative to the model file directory. The first row names the columns.
+ * @param {type.ERDEntity} elem
+ * @param {string} baseDir model file directory
+ * @return {{source: string, header: Array.<string>, rows: Array.<Array.<string>>, error: string}} null without seed data
+ */
+function readSeed(elem, baseDir) {
+	var tag = null,
+		fileTag = null;
+	(elem.tags || []).forEach(function (t) {
+		var name = (t.name || "").trim().toLowerCase();
+		if (name === "seed" && !tag) {
+			tag = t;
+		} else if (name === "seed_file" && !fileTag) {
+			fileTag = t;
+		}
+	});
+	if (!tag && !fileTag) {
+		return null;
+	}
+
+	var seed = { source: "seed tag", header: [], rows: [], error: null };
+	var text = tag ? tag.value || "" : "";
+	if (tag && fileTag) {
+		seed.error = "The entity has both seed and seed_file tags";
+		return seed;
+	}
+	if (fileTag) {
+		var file = (fileTag.value || "").trim();
+		seed.source = file;
+		try {
+			text = fs.readFileSync(path.resolve(baseDir || "", file), "utf8");
+		} catch (err) {
+			seed.error = "The seed file " + file + " cannot be read: " + err.message;
+			return seed;
+		}
+	}
+	var rows = parseCsv(text);
+	seed.header = (rows.shift() || []).map(function (name) { return (name || "").trim(); });
+	seed.rows = rows;
+	return seed;
+}
+
+exports.parseCsv = parseCsv;
+exports.valueKind = valueKind;
+exports.isValid = isValid;
+exports.sqlLiteral = sqlLiteral;
+exports.copyValue = copyValue;
+exports.readSeed = readSeed;
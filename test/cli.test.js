@@ -0,0 +1,64 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const childProcess = require("child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const SAMPLE = path.join(__dirname, "..", "samples", "employee_department.mdj");
+
+/**
+ * Run the command line generation
+ * @param {Array.<string>} args
+ * @return {{status: number, stdout: string, stderr: string}}
+ */
+function run(args) {
+	return childProcess.spawnSync(process.execPath, [CLI].concat(args), { encoding: "utf8" });
+}
+
+test("a missing model file is reported with the usage", function () {
+	var result = run(["generate", path.join(__dirname, "missing.mdj"), "--dry-run"]);
+	assert.strictEqual(result.status, 2);
+	assert.match(result.stderr, /^Cannot read the model file .*missing\.mdj/);
+	assert.match(result.stderr, /Usage: staruml-psql generate/);
+	assert.doesNotMatch(result.stderr, /\n\s+at /);
+});
+
+test("a malformed options file is reported with the usage", function () {
+	var file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "psqlddl-")), "options.json");
+	fs.writeFileSync(file, "{ singleFile: true");
+	var result = run(["validate", SAMPLE, "--options", file]);
+	assert.strictEqual(result.status, 2);
+	assert.match(result.stderr, /^Cannot read the options file /);
+	assert.match(result.stderr, /Usage: staruml-psql generate/);
+});
+
+test("the sample model is validated", function () {
+	var result = run(["validate", SAMPLE]);
+	assert.strictEqual(result.status, 0, result.stderr);
+});
@@ -0,0 +1,93 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const path = require("path");
+const headless = require("../headless");
+const genOptions = require("../options");
+
+const SAMPLE = path.join(__dirname, "..", "samples", "employee_department.mdj");
+
+// the generator and the validator need the globals, they are loaded once these are installed
+var app = headless.install(headless.defaultPreferences());
+
+/**
+ * Load the sample model
+ * @return {{project: Element, dataModel: Element}}
+ */
+function loadSample() {
+	var project = headless.loadProject(SAMPLE);
+	var dataModel = project.ownedElements.find(function (e) { return e instanceof type.ERDDataModel; });
+	return { project: project, dataModel: dataModel };
+}
+
+/**
+ * Return the entity of a model element by name, searching its owned elements
+ * @param {Element} elem
+ * @param {string} name
+ * @return {Element} null if not found
+ */
+function findEntity(elem, name) {
+	if (elem instanceof type.ERDEntity && elem.name === name) {
+		return elem;
+	}
+	for (var i = 0; i < elem.ownedElements.length; i++) {
+		var found = findEntity(elem.ownedElements[i], name);
+		if (found) {
+			return found;
+		}
+	}
+	return null;
+}
+
+/**
+ * Add a string tag to an element
+ * @param {Element} elem
+ * @param {string} name
+ * @param {string} value
+ */
+function addTag(elem, name, value) {
+	app.factory.createModel({
+		id: "Tag",
+		parent: elem,
+		field: "tags",
+		modelInitializer: function (tag) {
+			tag.name = name;
+			tag.value = value;
+		}
+	});
+}
+
+/**
+ * Return the generator options: the preference defaults, overridden by the given values
+ * @param {Object} values
+ * @return {Object}
+ */
+function getOptions(values) {
+	return Object.assign(genOptions.getGenOptions(app.preferences.get), values || {});
+}
+
+exports.loadSample = loadSample;
+exports.findEntity = findEntity;
+exports.addTag = addTag;
+exports.getOptions = getOptions;
@@ -0,0 +1,40 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const test = require("node:test");
+const assert = require("node:assert");
+const model = require("./model");
+const generator = require("../generator");
+
+test("the security drop script never grants table privileges back", function () {
+	var sample = model.loadSample();
+	model.addTag(sample.dataModel, "revoke:public", "all; all on all tables; all on all sequences; execute on all functions");
+	model.addTag(model.findEntity(sample.dataModel, "Employee"), "revoke:public", "all");
+	var drop = generator.generateFiles(sample.project, model.getOptions()).files["security_drop.sql"];
+
+	assert.doesNotMatch(drop, /GRANT (?!EXECUTE|USAGE ON SCHEMA public )[^;]*;/);
+	assert.doesNotMatch(drop, /GRANT [^;]* ON (TABLE|ALL TABLES|TABLES|ALL SEQUENCES|SEQUENCES)\b/);
+	assert.match(drop, /GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO PUBLIC;/);
+	assert.match(drop, /GRANT USAGE ON SCHEMA public TO PUBLIC;/);
+});
@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const test = require("node:test");
+const assert = require("node:assert");
+const model = require("./model");
+const validator = require("../validator");
+
+/**
+ * Return the error messages of the validation of the sample model, changed first
+ * @param {function(Object)} change changes the sample model
+ * @param {Object} options option values overriding the defaults
+ * @return {Array.<string>}
+ */
+function errors(change, options) {
+	var sample = model.loadSample();
+	change(sample);
+	return validator.validate(sample.project, model.getOptions(options)).filter(function (issue) {
+		return issue.severity === "error";
+	}).map(function (issue) {
+		return issue.message;
+	});
+}
+
+test("an unquoted name does not match a mixed case column", function () {
+	var messages = errors(function (sample) {
+		model.addTag(model.findEntity(sample.dataModel, "Employee"), "check", "employee_id > 0");
+	});
+	assert.strictEqual(messages.length, 1);
+	assert.match(messages[0], /refers to employee_id, which is not a column of the table/);
+});
+
+test("a quoted name matches a mixed case column", function () {
+	assert.deepStrictEqual(errors(function (sample) {
+		model.addTag(model.findEntity(sample.dataModel, "Employee"), "check", "\"Employee_Id\" > 0");
+	}), []);
+});
+
+test("an unquoted name matches any column under the never quoting", function () {
+	assert.deepStrictEqual(errors(function (sample) {
+		model.addTag(model.findEntity(sample.dataModel, "Employee"), "check", "employee_id > 0");
+	}, { quoting: "never" }), []);
+});
+
+test("an unquoted name of a generation expression does not match a mixed case column", function () {
+	var messages = errors(function (sample) {
+		var employee = model.findEntity(sample.dataModel, "Employee");
+		var column = function (name) {
+			return employee.columns.find(function (col) { return col.name === name; });
+		};
+		model.addTag(column("Employee Name"), "generated", "'name'");
+		model.addTag(column("Employee Code"), "generated", "lower(employee_name)");
+	});
+	assert.strictEqual(messages.length, 1);
+	assert.match(messages[0], /The generation expression refers to employee_name, which is not a column of the table/);
+});
+
+test("a generation expression does not refer to a generated column", function () {
+	var messages = errors(function (sample) {
+		var employee = model.findEntity(sample.dataModel, "Employee");
+		var column = function (name) {
+			return employee.columns.find(function (col) { return col.name === name; });
+		};
+		model.addTag(column("Employee Name"), "generated", "'name'");
+		model.addTag(column("Employee Code"), "generated", "lower(\"Employee_Name\")");
+	});
+	assert.deepStrictEqual(messages, ["The generation expression refers to the generated column Employee_Name"]);
+});
+
+test("the columns differing in case only are duplicates under the never quoting", function () {
+	var rename = function (sample) {
+		var employee = model.findEntity(sample.dataModel, "Employee");
+		employee.columns.find(function (col) { return col.name === "Employee Code"; }).name = "employee name";
+	};
+	assert.deepStrictEqual(errors(rename), []);
+	var messages = errors(rename, { quoting: "never" });
+	assert.strictEqual(messages.length, 1);
+	assert.match(messages[0], /The column Employee_Name is also generated for .*::employee name$/);
+});
+
+test("the tables differing in case only are duplicates under the never quoting", function () {
+	var rename = function (sample) {
+		model.findEntity(sample.dataModel, "Department").tags.find(function (tag) { return tag.name === "table"; }).value = "EMPL";
+	};
+	assert.deepStrictEqual(errors(rename), []);
+	var messages = errors(rename, { quoting: "never" });
+	assert.strictEqual(messages.length, 1);
+	assert.match(messages[0], /The table public\.str_EMPL is also generated for .*::Employee$/);
+});
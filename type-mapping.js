@@ -0,0 +1,224 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const fs = require("fs");
+
+/**
+ * Built-in StarUML to PostgreSQL type mapping. Each type gives the PostgreSQL type, where a
+ * `{length}` placeholder marks the length position when it does not go at the end, the rule
+ * the column length follows and the type of the columns with length -1
+ */
+const BUILTIN_TYPES = {
+	VARCHAR: { type: "varchar", length: "size" },
+	BOOLEAN: { type: "boolean" },
+	INTEGER: { type: "integer", serial: "serial" },
+	CHAR: { type: "char", length: "size" },
+	BINARY: { type: "bytea" },
+	VARBINARY: { type: "bytea" },
+	BLOB: { type: "bytea" },
+	TEXT: { type: "text" },
+	SMALLINT: { type: "smallint", serial: "smallserial" },
+	BIGINT: { type: "bigint", serial: "bigserial" },
+	DECIMAL: { type: "numeric", length: "precision" },
+	NUMERIC: { type: "numeric", length: "precision" },
+	FLOAT: { type: "real" },
+	DOUBLE: { type: "double precision" },
+	BIT: { type: "bit", length: "size" },
+	DATE: { type: "date" },
+	TIME: { type: "time{length} without time zone", length: "size" },
+	DATETIME: { type: "timestamp{length} with time zone", length: "size" },
+	TIMESTAMPTZ: { type: "timestamp{length} with time zone", length: "size" },
+	TIMESTAMP: { type: "timestamp{length} without time zone", length: "size" },
+	POINT: { type: "point" },
+	POLYGON: { type: "polygon" },
+	CIDR: { type: "cidr" },
+	INET: { type: "inet" },
+	UUID: { type: "uuid" },
+	REAL: { type: "real" },
+	BYTEA: { type: "bytea" },
+	VARBIT: { type: "varbit", length: "size" },
+	TIMETZ: { type: "time{length} with time zone", length: "size" },
+	INTERVAL: { type: "interval{length}", length: "size" },
+	MONEY: { type: "money" },
+	JSON: { type: "json" },
+	JSONB: { type: "jsonb" },
+	XML: { type: "xml" },
+	TSVECTOR: { type: "tsvector" },
+	TSQUERY: { type: "tsquery" },
+	CITEXT: { type: "citext" },
+	HSTORE: { type: "hstore" },
+	MACADDR: { type: "macaddr" },
+	INT4RANGE: { type: "int4range" },
+	INT8RANGE: { type: "int8range" },
+	NUMRANGE: { type: "numrange" },
+	DATERANGE: { type: "daterange" },
+	TSRANGE: { type: "tsrange" },
+	TSTZRANGE: { type: "tstzrange" },
+	LINE: { type: "line" },
+	LSEG: { type: "lseg" },
+	BOX: { type: "box" },
+	PATH: { type: "path" },
+	CIRCLE: { type: "circle" },
+	GEOMETRY: { type: "geometry", length: "any" },
+	GEOGRAPHY: { type: "geography", length: "any" }
+};
+
+/** Column length rules: ignored, a size, a precision with an optional scale, or anything */
+const LENGTH_RULES = {
+	none: null,
+	size: /^\d+$/,
+	precision: /^\d+(,-?\d+)?$/,
+	any: /^.+$/
+};
+
+/**
+ * Return whether a column length is set, -1 standing for serial types
+ * @param {string|number} length
+ * @return {boolean}
+ */
+function hasLength(length) {
+	var text = length === undefined || length === null ? "" : String(length).trim();
+	return text !== "" && text !== "0" && text !== "-1";
+}
+
+/**
+ * Return the length clause of a column, empty when the length is not set or not used by the
+ * type; null when the length does not follow the rule
+ * @param {string} rule
+ * @param {string|number} length
+ * @return {string}
+ */
+function lengthClause(rule, length) {
+	if (!LENGTH_RULES[rule] || !hasLength(length)) {
+		return "";
+	}
+	var text = rule === "any" ? String(length).trim() : String(length).replace(/\s+/g, "");
+	return LENGTH_RULES[rule].test(text) ? "(" + text + ")" : null;
+}
+
+/**
+ * Return the mapping of a StarUML type, ignoring the case and the array suffix
+ * @param {{types: Object}} mapping
+ * @param {string} typeName
+ * @return {{entry: Object, suffix: string}} null for unmapped types
+ */
+function findType(mapping, typeName) {
+	var match = /^(.*?)((?:\s*\[\s*\d*\s*\])*)$/.exec((typeName || "").trim());
+	var entry = mapping.types[match[1].trim().toUpperCase()];
+	return entry ? { entry: entry, suffix: match[2].replace(/\s+/g, "") } : null;
+}
+
+/**
+ * Return the serial type of a column, null unless its length is -1 and its type has a serial type
+ * @param {{types: Object}} mapping
+ * @param {string} typeName StarUML type
+ * @param {string|number} length
+ * @return {string}
+ */
+function serialType(mapping, typeName, length) {
+	var found = findType(mapping, typeName);
+	return length == -1 && found && found.entry.serial && !found.suffix ? found.entry.serial : null;
+}
+
+/**
+ * Return the PostgreSQL type of a column, the unmapped types being kept as is
+ * @param {{types: Object}} mapping
+ * @param {string} typeName StarUML type
+ * @param {string|number} length
+ * @return {string}
+ */
+function mapType(mapping, typeName, length) {
+	var found = findType(mapping, typeName);
+	if (!found) {
+		return typeName;
+	}
+	var entry = found.entry;
+	var serial = serialType(mapping, typeName, length);
+	if (serial) {
+		return serial;
+	}
+	var clause = lengthClause(entry.length, length);
+	if (clause === null) {
+		// left to the database to reject
+		clause = "(" + String(length).trim() + ")";
+	}
+	var pgType = entry.type.indexOf("{length}") > -1 ? entry.type.replace("{length}", clause) : entry.type + clause;
+	return pgType + found.suffix;
+}
+
+/**
+ * Return the type mapping: the built-in one, completed and overridden by the mapping file.
+ * The file maps the StarUML type names either to a PostgreSQL type or to an object with the
+ * `type`, `length` rule and `serial` type, a null serial type disabling the serial mapping.
+ * @param {string} file JSON mapping file, optional
+ * @return {{file: string, types: Object, errors: Array.<string>}}
+ */
+function loadTypeMapping(file) {
+	var mapping = { file: file || "", types: {}, errors: [] };
+	// the rules a file entry leaves out are the ones of the type it overrides
+	var add = function (name, entry) {
+		var key = name.trim().toUpperCase();
+		var base = mapping.types[key] || { length: "none", serial: null };
+		mapping.types[key] = {
+			type: entry.type.trim(),
+			length: entry.length === undefined ? base.length : entry.length,
+			serial: entry.serial === undefined ? base.serial : entry.serial
+		};
+	};
+	Object.keys(BUILTIN_TYPES).forEach(function (name) {
+		add(name, BUILTIN_TYPES[name]);
+	});
+	if (!file) {
+		return mapping;
+	}
+
+	var entries;
+	try {
+		entries = JSON.parse(fs.readFileSync(file, "utf8"));
+	} catch (err) {
+		mapping.errors.push("The type mapping file " + file + " cannot be read: " + err.message);
+		return mapping;
+	}
+	Object.keys(entries).forEach(function (name) {
+		var entry = typeof entries[name] === "string" ? { type: entries[name] } : entries[name];
+		if (!entry || typeof entry.type !== "string" || !entry.type.trim()) {
+			mapping.errors.push("The type mapping of " + name + " has no PostgreSQL type");
+		} else if (entry.length !== undefined && Object.keys(LENGTH_RULES).indexOf(entry.length) == -1) {
+			mapping.errors.push("The type mapping of " + name + " has an unknown length rule " + entry.length + ", expected one of " + Object.keys(LENGTH_RULES).join(", "));
+		} else if (entry.serial !== undefined && entry.serial !== null && typeof entry.serial !== "string") {
+			mapping.errors.push("The type mapping of " + name + " has a serial type that is not a string");
+		} else {
+			add(name, entry);
+		}
+	});
+	return mapping;
+}
+
+exports.BUILTIN_TYPES = BUILTIN_TYPES;
+exports.hasLength = hasLength;
+exports.lengthClause = lengthClause;
+exports.findType = findType;
+exports.serialType = serialType;
+exports.mapType = mapType;
+exports.loadTypeMapping = loadTypeMapping;
@@ -0,0 +1,1224 @@
+/*
+ * Copyright (c) 2018 CubicA. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+const codegen = require("./codegen-utils");
+const { DDLGenerator } = require("./generator");
+const typeMapping = require("./type-mapping");
+const seedData = require("./seed-data");
+
+/** Serial types and the type of their values */
+const SERIAL_TYPES = { serial: "integer", smallserial: "smallint", bigserial: "bigint" };
+
+/** Column lengths expected by the type mapping length rules */
+const LENGTH_HINTS = { size: "a size", precision: "a precision, optionally followed by a comma and a scale" };
+
+/** Index access methods of PostgreSQL */
+const INDEX_METHODS = ["btree", "hash", "gist", "spgist", "gin", "brin"];
+
+/** Privileges of each kind of object, `all` aside */
+const PRIVILEGES = {
+	schema: ["usage", "create"],
+	table: ["select", "insert", "update", "delete", "truncate", "references", "trigger"],
+	sequence: ["usage", "select", "update"],
+	function: ["execute"]
+};
+
+/** Kinds of the objects a data model privilege is on */
+const OBJECT_KINDS = {
+	schema: "schema",
+	"all tables": "table",
+	"all sequences": "sequence",
+	"all functions": "function",
+	"all procedures": "function",
+	sequence: "sequence",
+	function: "function",
+	procedure: "function"
+};
+
+/** Privileges given on columns */
+const COLUMN_PRIVILEGES = ["select", "insert", "update", "references"];
+
+/**
+ * Return the element path in the project, as shown in the model explorer
+ * @param {type.Model} elem
+ * @return {string}
+ */
+function elementPath(elem) {
+	var names = [];
+	for (var e = elem; e && !(e instanceof type.Project); e = e._parent) {
+		names.unshift(e.name);
+	}
+	return names.filter(function (name) { return !!name; }).join("::");
+}
+
+/**
+ * Return the expression of an index key, without its operator class and ordering
+ * @param {string} key
+ * @return {string}
+ */
+function indexKeyExpression(key) {
+	return key
+		.replace(/\s+nulls\s+(first|last)\s*$/i, "")
+		.replace(/\s+(asc|desc)\s*$/i, "")
+		.replace(/([A-Za-z0-9_$)"])\s+[A-Za-z_][A-Za-z0-9_$.]*\s*$/, "$1");
+}
+
+class ModelValidator {
+	/**
+	 * Model Validator, reporting what the generator would reject or silently get wrong
+	 * @constructor
+	 *
+	 * @param {type.Project} project
+	 * @param {Object} options
+	 */
+	constructor(project, options) {
+		/** @member {type.Project} */
+		this.project = project;
+
+		/** @member {Object} */
+		this.options = options;
+
+		/** @member {DDLGenerator} */
+		this.generator = new DDLGenerator(project, null);
+
+		/** @member {Array.<{severity: string, element: type.Model, path: string, message: string}>} */
+		this.issues = [];
+
+		/** @member {Object.<string, type.Model>} enumeration types by qualified name */
+		this.enumTypes = {};
+	}
+
+	error(elem, message) {
+		this.issues.push({ severity: "error", element: elem, path: elementPath(elem), message: message });
+	}
+
+	warning(elem, message) {
+		this.issues.push({ severity: "warning", element: elem, path: elementPath(elem), message: message });
+	}
+
+	/**
+	 * Check an identifier, returning whether it can be generated
+	 * @param {type.Model} elem
+	 * @param {string} kind table, column...
+	 * @param {string} name
+	 * @return {boolean}
+	 */
+	checkIdentifier(elem, kind, name) {
+		if (!name) {
+			this.error(elem, "The " + kind + " has no name");
+		} else if (codegen.isReservedWord(name)) {
+			this.error(elem, "The " + kind + " name " + name + " is a PostgreSQL reserved keyword");
+		} else if (Buffer.byteLength(name, "utf8") > codegen.MAX_IDENTIFIER_LENGTH) {
+			this.error(elem, "The " + kind + " name " + name + " is longer than " + codegen.MAX_IDENTIFIER_LENGTH + " bytes");
+		} else if (!codegen.isValidIdentifier(name)) {
+			this.error(elem, "The " + kind + " name " + name + " is not a valid identifier");
+		} else {
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Return the type a column holds values of, serial types holding integers
+	 * @param {type.ERDColumn} col
+	 * @return {string}
+	 */
+	valueType(col) {
+		var _type = this.generator.dataType(col.length == -1 ? { type: col.type, length: "" } : col, this.options);
+		return SERIAL_TYPES[_type] || _type;
+	}
+
+	/**
+	 * Return the tables of the project, the way the generator collects them
+	 * @return {Array.<{entity: type.ERDEntity, schema: string}>}
+	 */
+	collectTables() {
+		var self = this;
+		var tables = [];
+		self.project.ownedElements.forEach(function (model) {
+			if (!(model instanceof type.ERDDataModel)) {
+				return;
+			}
+			var schema = self.generator.physicalSchemaName(codegen.stringTag("schema", model), self.options);
+			if (schema) {
+				self.checkIdentifier(model, "schema", schema);
+			}
+			schema = schema || "public";
+			model.ownedElements.forEach(function (diagram) {
+				if (diagram instanceof type.ERDDiagram) {
+					diagram.ownedElements.forEach(function (entity) {
+						if (entity instanceof type.ERDEntity) {
+							tables.push({ entity: entity, schema: schema });
+						}
+					});
+				} else if (diagram instanceof type.ERDEntity) {
+					tables.push({ entity: diagram, schema: schema });
+				}
+			});
+		});
+		return tables;
+	}
+
+	checkColumn(col, entities) {
+		var self = this;
+		var options = self.options;
+		var name = self.generator.baseColumnName(col, options);
+		self.checkIdentifier(col, "column", name);
+
+		var sequence = self.generator.defaultSequence(col, options);
+		if (sequence && !sequence.sequence) {
+			self.error(col, "The default sequence " + sequence.name + " is not declared by a sequence:<name> tag of the data model");
+		}
+
+		var found = typeMapping.findType(self.generator.typeMapping(options), col.type);
+		var enumType = self.generator.enumType(col, options);
+		if (!col.type) {
+			self.error(col, "The column has no type");
+		} else if (col.type.trim().toLowerCase() === "enum") {
+			if (codegen.stringTag("enum", col)) {
+				self.checkEnum(col, enumType);
+			} else if (!enumType) {
+				self.error(col, "The enum column has no enum tag listing its values, nor references an enum column");
+			}
+		} else if (!found && !enumType) {
+			self.warning(col, "The type " + col.type + " has no PostgreSQL mapping, it is generated as is");
+		} else if (found && !enumType && typeMapping.lengthClause(found.entry.length, col.length) === null) {
+			self.error(col, "The length " + col.length + " does not fit the " + col.type + " type, expecting " + LENGTH_HINTS[found.entry.length]);
+		}
+
+		col.tags.forEach(function (tag) {
+			var uniqueOptions = self.generator.uniqueTagOptions(tag);
+			if (uniqueOptions && uniqueOptions.unknown) {
+				self.error(col, "The unique tag " + tag.name + " has unknown options: " + uniqueOptions.unknown);
+			}
+		});
+
+		var refCol = self.generator.columnReference(col);
+		if (!refCol) {
+			return;
+		}
+		if (!refCol._parent || entities.indexOf(refCol._parent) == -1) {
+			self.error(col, "The column references " + (refCol.name || "a missing element") + ", which is not a generated table column");
+			return;
+		}
+		var colType = self.valueType(col);
+		var refType = self.valueType(refCol);
+		if (colType !== refType) {
+			self.warning(col, "The column type " + colType + " differs from the referenced column type " + refType + " of " + elementPath(refCol));
+		}
+	}
+
+	/**
+	 * Check an enumeration type, either shared by a data model or owned by a column
+	 * @param {type.Model} elem the data model tag or the column declaring the type
+	 * @param {{name: string, typeName: string, values: Array.<string>}} enumType
+	 */
+	checkEnum(elem, enumType) {
+		var self = this;
+		self.checkIdentifier(elem, "enumeration", self.generator.physicalName(enumType.name, self.options));
+		if (enumType.values.length == 0) {
+			self.error(elem, "The enumeration " + enumType.name + " has no values");
+		}
+		enumType.values.forEach(function (value, idx) {
+			if (enumType.values.indexOf(value) != idx) {
+				self.error(elem, "The enumeration " + enumType.name + " lists the value " + value + " more than once");
+			}
+		});
+		var key = self.foldedName(enumType.typeName);
+		if (self.enumTypes[key]) {
+			self.error(elem, "The enumeration type " + enumType.typeName + " is also generated for " + elementPath(self.enumTypes[key]));
+		} else {
+			self.enumTypes[key] = elem;
+		}
+	}
+
+	/**
+	 * Check the sequences of a data model: their names, clauses, values and owning column
+	 * @param {type.ERDDataModel} model
+	 * @param {Object.<string, type.Model>} tableNames tables, views and sequences by qualified name, as PostgreSQL reads it
+	 */
+	checkSequences(model, tableNames) {
+		var self = this;
+		var options = self.options;
+		var schema = self.generator.schemaName(model, options);
+		self.generator.getSequences(model, options).forEach(function (sequence) {
+			var elem = sequence.owner;
+			var what = "The sequence " + sequence.name;
+			var definition = sequence.definition;
+			var name = self.generator.physicalName(sequence.name, options);
+			if (self.checkIdentifier(elem, "sequence", name)) {
+				var qualified = schema + "." + name;
+				var key = self.foldedName(qualified);
+				if (tableNames[key]) {
+					self.error(elem, "The sequence " + qualified + " is also generated for " + elementPath(tableNames[key]));
+				} else {
+					tableNames[key] = elem;
+				}
+			}
+			if (definition.unknown) {
+				self.error(elem, what + " has unknown clauses: " + definition.unknown);
+			}
+			if (definition.type) {
+				var pgType = typeMapping.mapType(self.generator.typeMapping(options), definition.type, "");
+				if (["smallint", "integer", "bigint"].indexOf(pgType) == -1) {
+					self.error(elem, what + " has the type " + definition.type + ", expected smallint, integer or bigint");
+				}
+			}
+			var values = { increment: "increment", minValue: "minimum", maxValue: "maximum", start: "start", cache: "cache" };
+			var invalid = false;
+			Object.keys(values).forEach(function (key) {
+				if (definition[key] && !/^[+-]?\d+$/.test(definition[key])) {
+					self.error(elem, what + " has the " + values[key] + " " + definition[key] + ", which is not an integer");
+					invalid = true;
+				}
+			});
+			if (invalid) {
+				return;
+			}
+			if (definition.increment && Number(definition.increment) == 0) {
+				self.error(elem, what + " has a zero increment");
+			}
+			if (definition.cache && Number(definition.cache) < 1) {
+				self.error(elem, what + " has the cache " + definition.cache + ", expected at least 1");
+			}
+			var min = definition.minValue ? Number(definition.minValue) : null,
+				max = definition.maxValue ? Number(definition.maxValue) : null,
+				start = definition.start ? Number(definition.start) : null;
+			if (min !== null && max !== null && min >= max) {
+				self.error(elem, what + " has the minimum " + definition.minValue + ", which is not less than its maximum " + definition.maxValue);
+			} else if (start !== null && ((min !== null && start < min) || (max !== null && start > max))) {
+				self.error(elem, what + " starts with " + definition.start + ", which is out of its bounds");
+			}
+			if (definition.ownedBy && definition.ownedBy.toLowerCase() !== "none" && !self.generator.sequenceOwner(sequence, model, options)) {
+				self.error(elem, what + " is owned by " + definition.ownedBy + ", which is not a <table>.<column> of the data model tables");
+			}
+		});
+	}
+
+	/**
+	 * Check that no routine is linked the way of earlier versions, by a reference tag to the
+	 * element named by the `Function tag` or `Procedure tag` preference, as these are no longer generated
+	 * @param {type.ERDDataModel} model
+	 */
+	checkLegacyRoutines(model) {
+		var self = this;
+		model.tags.forEach(function (tag) {
+			if (tag.kind !== type.Tag.TK_REFERENCE || !tag.reference) {
+				return;
+			}
+			var kind = tag.reference.name === self.options.function ? "function"
+				: tag.reference.name === self.options.procedure ? "procedure" : null;
+			if (kind) {
+				self.error(model, "The reference tag " + tag.name + " links a " + kind + " the way of earlier versions, which is no longer generated: declare it with the string tag "
+					+ kind + ":" + tag.name + " = [(<parameters>)] " + (kind === "function" ? "[returns <type>] " : "") + "[language <name>] as <body>");
+			}
+		});
+	}
+
+	/**
+	 * Check the routines of a data model: their clauses, names and parameters, that their types
+	 * resolve through the type mapping and that their signatures are unique
+	 * @param {type.ERDDataModel} model
+	 * @param {Object.<string, type.Model>} signatures routines by signature, across the data models
+	 */
+	checkRoutines(model, signatures) {
+		var self = this;
+		self.generator.getRoutines(model, self.options).forEach(function (routine) {
+			var elem = routine.owner;
+			var what = "The " + routine.kind + " " + routine.name;
+			var definition = routine.definition;
+			self.checkIdentifier(elem, routine.kind, self.generator.physicalName(routine.name, self.options));
+			if (definition.unknown) {
+				self.error(elem, what + " has unknown clauses: " + definition.unknown);
+			}
+			if (!definition.body) {
+				self.error(elem, what + " has no body, expected after as");
+			}
+			if (routine.kind === "procedure" && definition.returns) {
+				self.error(elem, what + " returns a result, a procedure gives its results by output parameters");
+			}
+			if (routine.kind === "procedure" && definition.volatility) {
+				self.error(elem, what + " is declared " + definition.volatility + ", which applies to functions only");
+			}
+
+			var resolve = function (text, where) {
+				if (!text) {
+					self.error(elem, what + " gives no type to " + where);
+					return "";
+				}
+				var resolved = self.generator.routineType(text, model, self.options);
+				if (!resolved.resolved) {
+					self.error(elem, what + " gives the type " + text + " to " + where + ", which is neither mapped nor an enumeration");
+				}
+				// the length does not tell routines apart
+				return resolved.type.replace(/\s*\([^)]*\)/, "");
+			};
+			var names = {},
+				inputs = [],
+				defaults = false,
+				outputs = false;
+			definition.parameters.forEach(function (parameter, idx) {
+				var where = parameter.name ? "the parameter " + parameter.name : "the parameter " + (idx + 1);
+				if (parameter.name && parameter.name.charAt(0) !== '"') {
+					self.checkIdentifier(elem, "parameter", parameter.name);
+				}
+				if (parameter.name && names[parameter.name.toLowerCase()]) {
+					self.error(elem, what + " has more than one parameter " + parameter.name);
+				}
+				names[parameter.name.toLowerCase()] = true;
+				var pgType = resolve(parameter.type, where);
+				if (parameter.mode === "variadic" && idx != definition.parameters.length - 1) {
+					self.error(elem, what + " has the variadic parameter " + (parameter.name || idx + 1) + " before other parameters");
+				}
+				outputs = outputs || /out/.test(parameter.mode);
+				if (parameter.mode === "out") {
+					parameter.default && self.error(elem, what + " gives a default to the output " + where);
+					return;
+				}
+				if (parameter.default) {
+					defaults = true;
+				} else if (defaults) {
+					self.error(elem, what + " gives no default to " + where + ", which follows parameters with defaults");
+				}
+				inputs.push(pgType);
+			});
+
+			var returns = routine.kind === "function" && definition.returns;
+			if (returns && returns.table) {
+				if (returns.table.length == 0) {
+					self.error(elem, what + " returns a table without columns");
+				}
+				if (outputs) {
+					self.error(elem, what + " returns a table and has output parameters");
+				}
+				returns.table.forEach(function (column, idx) {
+					resolve(column.type, "the result column " + (column.name || idx + 1));
+				});
+			} else if (returns) {
+				resolve(returns.type, "its result");
+			}
+
+			// functions and procedures share their signatures, made of the input argument types
+			var signature = routine.routineName + "(" + inputs.join(", ") + ")";
+			if (signatures[signature]) {
+				self.error(elem, what + " has the signature " + signature + " of " + elementPath(signatures[signature]));
+			} else {
+				signatures[signature] = elem;
+			}
+		});
+	}
+
+	/**
+	 * Return a name as PostgreSQL reads it: the names written without quotes, as all of them under
+	 * the `never` quoting, are folded to lower case
+	 * @param {string} name generated name
+	 * @return {string}
+	 */
+	foldedName(name) {
+		return this.options.quoting === "never" ? name.toLowerCase() : name;
+	}
+
+	/**
+	 * Return whether a name an expression refers to, folded to lower case unless quoted, is a column
+	 * @param {{name: string, quoted: boolean}} ref
+	 * @param {type.ERDColumn} col
+	 * @return {boolean}
+	 */
+	isColumnReference(ref, col) {
+		return this.foldedName(this.generator.baseColumnName(col, this.options)) === ref.name;
+	}
+
+	/**
+	 * Check that the names an expression of a table refers to are columns of the table
+	 * @param {type.Model} elem
+	 * @param {string} what the expression description
+	 * @param {string} expression
+	 * @param {Array.<type.ERDColumn>} columns
+	 */
+	checkExpressionColumns(elem, what, expression, columns) {
+		var self = this;
+		codegen.expressionColumns(expression).forEach(function (ref) {
+			var found = columns.some(function (col) {
+				return self.isColumnReference(ref, col);
+			});
+			var other = !found && !ref.quoted && columns.find(function (col) {
+				return self.generator.baseColumnName(col, self.options).toLowerCase() === ref.name.toLowerCase();
+			});
+			if (other) {
+				self.error(elem, what + " refers to " + ref.name + ", which is not a column of the table: PostgreSQL folds the unquoted names to lower case, the column "
+					+ self.generator.baseColumnName(other, self.options) + " is to be written within double quotes");
+			} else if (!found) {
+				self.error(elem, what + " refers to " + ref.name + ", which is not a column of the table");
+			}
+		});
+	}
+
+	/**
+	 * Check the identity or the generation expression of a column
+	 * @param {type.ERDColumn} col
+	 * @param {Array.<type.ERDColumn>} columns the table columns
+	 */
+	checkGeneration(col, columns) {
+		var self = this;
+		var expression = self.generator.generatedExpression(col);
+		var identityTag = codegen.tag("identity", col);
+		var identity = self.generator.identity(col, self.options);
+		if (identityTag && expression) {
+			self.error(col, "The column has both the identity and generated tags");
+		} else if (identityTag && !identity) {
+			self.error(col, "The identity tag value " + identityTag.value + " is not always or by default");
+		}
+		if ((identity || expression) && codegen.tag("default", col)) {
+			self.warning(col, "The default tag is ignored, " + (identity ? "identity" : "generated") + " columns have no default");
+		}
+
+		if (identity) {
+			var valueType = self.valueType(col);
+			if (Object.keys(SERIAL_TYPES).map(function (name) { return SERIAL_TYPES[name]; }).indexOf(valueType) == -1) {
+				self.error(col, "The identity column type " + valueType + " is not smallint, integer or bigint");
+			}
+			if (identity.start && !/^-?\d+$/.test(identity.start)) {
+				self.error(col, "The identity start " + identity.start + " is not an integer");
+			}
+			if (identity.increment && !/^-?[1-9]\d*$/.test(identity.increment)) {
+				self.error(col, "The identity increment " + identity.increment + " is not a non zero integer");
+			}
+			if (col.nullable && !col.primaryKey) {
+				self.warning(col, "The identity column is nullable, it is generated NOT NULL");
+			}
+		}
+
+		if (expression) {
+			self.checkExpressionColumns(col, "The generation expression", expression, columns);
+			codegen.expressionColumns(expression).forEach(function (ref) {
+				var generated = columns.some(function (other) {
+					return self.isColumnReference(ref, other) && !!self.generator.generatedExpression(other);
+				});
+				if (generated) {
+					self.error(col, "The generation expression refers to the generated column " + ref.name);
+				}
+			});
+		}
+	}
+
+	/**
+	 * Check the user indexes of an entity
+	 * @param {type.ERDEntity} entity
+	 * @param {Array.<type.ERDColumn>} columns null when the names the indexes refer to are not known
+	 */
+	checkIndexes(entity, columns) {
+		var self = this;
+		self.generator.getIndexes(entity, self.options).forEach(function (idx) {
+			var what = "The index " + (idx.name || "without name");
+			var definition = idx.definition;
+			if (definition.unknown) {
+				self.error(idx.owner, what + " has unknown clauses: " + definition.unknown);
+			}
+			if (definition.method && INDEX_METHODS.indexOf(definition.method) == -1) {
+				self.warning(idx.owner, what + " uses the " + definition.method + " method, which is not built in PostgreSQL");
+			}
+			idx.columns.forEach(function (c) {
+				if (c.unknown) {
+					self.error(c.col, what + " has unknown column options: " + c.unknown);
+				}
+			});
+			if (definition.keys && idx.columns.length > 0) {
+				self.warning(idx.owner, what + " has its keys given by the entity tag, the column tags are ignored");
+			}
+			if (!(definition.keys || idx.columns).length) {
+				self.error(idx.owner, what + " has no key");
+			}
+			(definition.keys || []).map(indexKeyExpression).concat(definition.include, [definition.where]).forEach(function (expression) {
+				columns && self.checkExpressionColumns(idx.owner, what, expression || "", columns);
+			});
+		});
+	}
+
+	/**
+	 * Check that no trigger is declared the way of earlier versions, by a reference tag to a tag linked
+	 * to the element named by the `Trigger tag` preference, as these are no longer generated
+	 * @param {type.ERDEntity} entity
+	 */
+	checkLegacyTriggers(entity) {
+		var self = this;
+		entity.tags.forEach(function (tag) {
+			if (tag.kind === type.Tag.TK_REFERENCE && tag.reference && tag.reference.reference && tag.reference.reference.name === self.options.trigger) {
+				self.error(entity, "The reference tag " + tag.name + " declares a trigger the way of earlier versions, which is no longer generated: declare it with the string tag trigger:"
+					+ tag.name + " = <before | after> <events> [for each row] execute <function>, the function being declared by a function:<name> tag of the data model");
+			}
+		});
+	}
+
+	/**
+	 * Check the triggers of an entity: their clauses, the columns of their events and the
+	 * function they execute
+	 * @param {type.ERDEntity} entity
+	 */
+	checkTriggers(entity) {
+		var self = this;
+		var options = self.options;
+		var names = {};
+		self.checkLegacyTriggers(entity);
+		self.generator.getTriggers(entity, options).forEach(function (trigger) {
+			var elem = trigger.owner;
+			var what = "The trigger " + trigger.name;
+			var definition = trigger.definition;
+			var name = self.generator.physicalName(trigger.name, options);
+			if (self.checkIdentifier(elem, "trigger", name)) {
+				var key = self.foldedName(name);
+				if (names[key]) {
+					self.error(elem, "The trigger " + name + " is also generated for " + elementPath(names[key]));
+				}
+				names[key] = elem;
+			}
+			if (definition.unknown) {
+				self.error(elem, what + " has unknown clauses: " + definition.unknown);
+			}
+			var view = self.generator.viewDefinition(entity);
+			if (view && view.materialized) {
+				self.error(elem, what + " belongs to a materialized view, which has no triggers");
+			} else if (!definition.timing) {
+				self.error(elem, what + " has no timing, expected before, after or instead of");
+			} else if (!view && definition.timing === "instead of") {
+				self.error(elem, what + " is an instead of trigger, which applies to views only");
+			} else if (view && (definition.timing === "instead of") !== (definition.level === "row")) {
+				self.error(elem, what + " of a view fires " + definition.timing + " each " + definition.level + ", expected instead of each row or before or after each statement");
+			}
+			if (definition.events.length == 0) {
+				self.error(elem, what + " has no event, expected insert, update, delete or truncate");
+			}
+			definition.events.forEach(function (event) {
+				if (event.event === "truncate" && view) {
+					self.error(elem, what + " fires on truncate, which views do not support");
+				} else if (event.event === "truncate" && definition.level === "row") {
+					self.error(elem, what + " fires for each row on truncate, which fires for each statement only");
+				}
+				event.columns.forEach(function (column) {
+					if (!self.generator.findColumn(entity, column, options)) {
+						self.error(elem, what + " fires on the update of " + column + ", which is not a column of the table");
+					}
+				});
+			});
+			if (definition.when && definition.level === "statement" && /\b(old|new)\s*\./i.test(definition.when)) {
+				self.error(elem, what + " fires for each statement, its when condition cannot refer to the old or new rows");
+			}
+
+			var routine = definition.function && self.generator.triggerFunction(entity, definition.function, options);
+			if (!definition.function) {
+				self.error(elem, what + " executes no function, expected after execute");
+			} else if (!routine) {
+				self.error(elem, what + " executes the function " + definition.function + ", which is not declared by a function:<name> tag of the data model");
+			} else {
+				var returns = routine.definition.returns;
+				if (!returns || returns.setof || returns.type.toLowerCase() !== "trigger") {
+					self.error(elem, what + " executes the function " + definition.function + ", which does not return trigger");
+				}
+				if (routine.definition.parameters.length > 0) {
+					self.error(elem, what + " executes the function " + definition.function + ", which has parameters; a trigger function gets the trigger arguments instead");
+				}
+			}
+		});
+	}
+
+	/**
+	 * Check the partitioning of a table: its partition key, included in its primary key and
+	 * unique constraints, and its partitions, their names, bounds and sub-partitions
+	 * @param {{entity: type.ERDEntity, schema: string}} table
+	 * @param {Object.<string, type.Model>} tableNames tables, views and sequences by qualified name, as PostgreSQL reads it
+	 */
+	checkPartitions(table, tableNames) {
+		var self = this;
+		var options = self.options;
+		var entity = table.entity;
+		var key = self.generator.getPartitionKey(entity);
+		var partitions = self.generator.getPartitions(entity, options);
+		if (!key) {
+			if (partitions.length > 0) {
+				self.error(entity, "The table has partitions but no partition_by tag");
+			}
+			return;
+		}
+		var checkKey = function (elem, what, partitionKey) {
+			if (partitionKey.unknown) {
+				self.error(elem, what + " has unknown clauses: " + partitionKey.unknown);
+			}
+			if (!partitionKey.strategy) {
+				self.error(elem, what + " has no strategy, expected range, list or hash");
+			}
+			if (partitionKey.keys.length == 0) {
+				self.error(elem, what + " has no key");
+			} else if (partitionKey.strategy === "list" && partitionKey.keys.length > 1) {
+				self.error(elem, what + " lists the values of " + partitionKey.keys.length + " keys, expected one");
+			}
+			return partitionKey.keys.map(function (name) {
+				var col = self.generator.findColumn(entity, name, options);
+				if (!col && !/^\(/.test(name)) {
+					self.error(elem, what + " refers to " + name + ", which is not a column of the table, the expressions being parenthesized");
+				}
+				return col;
+			});
+		};
+
+		var keyColumns = checkKey(entity, "The partition key", key);
+		var uniqueKeys = [];
+		var primaryKey = entity.columns.filter(function (col) { return col.primaryKey; });
+		if (primaryKey.length > 0) {
+			uniqueKeys.push({ what: "primary key", columns: primaryKey });
+		}
+		self.generator.getUniqueConstraints(entity, options).forEach(function (ctr) {
+			uniqueKeys.push({ what: "unique constraint " + (ctr.name || self.generator.baseColumnName(ctr.columns[0], options)), columns: ctr.columns });
+		});
+		self.generator.getIndexes(entity, options).forEach(function (idx) {
+			if (idx.definition.concurrently) {
+				self.error(idx.owner, "The index " + idx.name + " is created concurrently, which partitioned tables do not support");
+			}
+			if (idx.definition.unique) {
+				var columns = idx.columns.map(function (c) { return c.col; }).concat((idx.definition.keys || []).map(function (k) {
+					return self.generator.findColumn(entity, indexKeyExpression(k).replace(/^"(.*)"$/, "$1"), options);
+				}));
+				uniqueKeys.push({ what: "unique index " + idx.name, columns: columns });
+			}
+		});
+		uniqueKeys.forEach(function (unique) {
+			keyColumns.forEach(function (col, idx) {
+				if (!col) {
+					self.error(entity, "The " + unique.what + " cannot include the partition key expression " + key.keys[idx]);
+				} else if (unique.columns.indexOf(col) == -1) {
+					self.error(entity, "The " + unique.what + " does not include the partition key column " + self.generator.baseColumnName(col, options));
+				}
+			});
+		});
+
+		var names = {};
+		partitions.forEach(function (partition) {
+			names[partition.name.toLowerCase()] = partition;
+		});
+		var defaults = {};
+		partitions.forEach(function (partition) {
+			var elem = partition.owner;
+			var what = "The partition " + partition.name;
+			var definition = partition.definition;
+			var name = self.generator.physicalName(partition.name, options);
+			if (self.checkIdentifier(elem, "partition", name)) {
+				var qualified = table.schema + "." + name;
+				var key = self.foldedName(qualified);
+				if (tableNames[key]) {
+					self.error(elem, "The partition " + qualified + " is also generated for " + elementPath(tableNames[key]));
+				} else {
+					tableNames[key] = elem;
+				}
+			}
+			if (definition.unknown) {
+				self.error(elem, what + " has unknown clauses: " + definition.unknown);
+			}
+			var parent = definition.of ? names[definition.of.toLowerCase()] : null;
+			var parentKey = key;
+			if (definition.of) {
+				parentKey = parent && parent.definition.partitionBy;
+				if (!parentKey) {
+					self.error(elem, what + " is a partition of " + definition.of + ", which is not a partition of the table with a partition by clause");
+					return;
+				}
+			}
+			if (definition.partitionBy) {
+				checkKey(elem, what + " key", definition.partitionBy);
+			}
+
+			var bounds = definition.bounds;
+			if (definition.isDefault) {
+				var parentName = (definition.of || "").toLowerCase();
+				if (parentKey.strategy === "hash") {
+					self.error(elem, what + " is a default partition, which hash partitioning does not have");
+				} else if (defaults[parentName]) {
+					self.error(elem, what + " is a default partition, as is " + defaults[parentName].name);
+				}
+				defaults[parentName] = partition;
+			} else if (!bounds) {
+				self.error(elem, what + " has no bounds, expected for values or default");
+			} else if (parentKey.strategy && bounds.kind !== parentKey.strategy) {
+				self.error(elem, what + " has " + bounds.kind + " bounds, expected " + parentKey.strategy + " bounds");
+			} else if (bounds.kind === "range" && (bounds.from.length != parentKey.keys.length || bounds.to.length != parentKey.keys.length)) {
+				self.error(elem, what + " has range bounds from (" + bounds.from.join(", ") + ") to (" + bounds.to.join(", ") + "), expected " + parentKey.keys.length + " value(s) each");
+			} else if (bounds.kind === "list" && bounds.values.length == 0) {
+				self.error(elem, what + " lists no value");
+			} else if (bounds.kind === "hash") {
+				if (!/^\d+$/.test(bounds.modulus) || Number(bounds.modulus) < 1 || !/^\d+$/.test(bounds.remainder)) {
+					self.error(elem, what + " has the modulus " + (bounds.modulus || "none") + " and the remainder " + (bounds.remainder || "none") + ", expected a positive modulus and a remainder");
+				} else if (Number(bounds.remainder) >= Number(bounds.modulus)) {
+					self.error(elem, what + " has the remainder " + bounds.remainder + ", which is not less than its modulus " + bounds.modulus);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Check the name of a table or view, unique among the tables and views of its schema
+	 * @param {{entity: type.ERDEntity, schema: string}} table
+	 * @param {string} kind table or view
+	 * @param {Object.<string, type.ERDEntity>} tableNames entities by qualified name, as PostgreSQL reads it
+	 */
+	checkRelationName(table, kind, tableNames) {
+		var self = this;
+		var entity = table.entity;
+		var name = self.generator.baseTableName(entity, self.options);
+		if (self.checkIdentifier(entity, kind, name)) {
+			var physicalName = self.generator.physicalTableName(entity, self.options);
+			if (Buffer.byteLength(physicalName, "utf8") > codegen.MAX_IDENTIFIER_LENGTH) {
+				self.error(entity, "The prefixed " + kind + " name " + physicalName + " is longer than " + codegen.MAX_IDENTIFIER_LENGTH + " bytes");
+			}
+			var qualified = table.schema + "." + physicalName;
+			var key = self.foldedName(qualified);
+			if (tableNames[key]) {
+				self.error(entity, "The " + kind + " " + qualified + " is also generated for " + elementPath(tableNames[key]));
+			} else {
+				tableNames[key] = entity;
+			}
+		}
+	}
+
+	/**
+	 * Check a view: its name, query and options, its indexes and triggers, and the table
+	 * features it ignores
+	 * @param {{entity: type.ERDEntity, schema: string}} view
+	 * @param {Object.<string, type.ERDEntity>} tableNames entities by qualified name, as PostgreSQL reads it
+	 */
+	checkView(view, tableNames) {
+		var self = this;
+		var options = self.options;
+		var entity = view.entity;
+		var definition = self.generator.viewDefinition(entity);
+		self.checkRelationName(view, "view", tableNames);
+
+		if (!definition.query) {
+			self.error(entity, "The view has no query, given by its view tag");
+		}
+		if (definition.materialized && ["with data", "with no data"].indexOf(definition.data) == -1) {
+			self.error(entity, "The materialized tag value " + definition.data + " is neither with data nor with no data");
+		}
+		if (definition.checkOption && ["local", "cascaded"].indexOf(definition.checkOption) == -1) {
+			self.error(entity, "The check_option tag value " + definition.checkOption + " is neither local nor cascaded");
+		} else if (definition.checkOption && definition.materialized) {
+			self.error(entity, "The materialized view has a check option, which applies to views only");
+		}
+		if (definition.materialized) {
+			// without modeled columns, the names of the query output cannot be checked
+			self.checkIndexes(entity, entity.columns.length > 0 ? entity.columns : null);
+		} else if (self.generator.getIndexes(entity, options).length > 0) {
+			self.error(entity, "The view has indexes, which only materialized views have");
+		}
+		self.checkTriggers(entity);
+
+		var columnNames = {};
+		entity.columns.forEach(function (col) {
+			var columnName = self.generator.baseColumnName(col, options);
+			if (self.checkIdentifier(col, "column", columnName)) {
+				var key = self.foldedName(columnName);
+				if (columnNames[key]) {
+					self.error(col, "The column " + columnName + " is also generated for " + elementPath(columnNames[key]));
+				}
+				columnNames[key] = col;
+			}
+			if (col.primaryKey || col.unique || col.referenceTo) {
+				self.warning(col, "The view column is a key, unique or a reference, which views ignore");
+			}
+		});
+		if (codegen.tag("seed", entity) || codegen.tag("seed_file", entity)) {
+			self.warning(entity, "The view has seed data, which views ignore");
+		}
+		if (self.generator.getCheckConstraints(entity, options).length > 0) {
+			self.warning(entity, "The view has check constraints, which views ignore");
+		}
+		if (self.generator.getPartitionKey(entity) || self.generator.getPartitions(entity, options).length > 0) {
+			self.error(entity, "The view has a partition key or partitions, which apply to tables only");
+		}
+	}
+
+	/**
+	 * Check the seed data of an entity against its columns
+	 * @param {type.ERDEntity} entity
+	 */
+	checkSeedData(entity) {
+		var self = this;
+		var options = self.options;
+		var seed = self.generator.getSeedData(entity, options);
+		if (!seed) {
+			return;
+		} else if (seed.error) {
+			self.error(entity, seed.error);
+			return;
+		} else if (seed.header.length == 0) {
+			self.error(entity, "The seed data of " + seed.source + " has no header row naming the columns");
+			return;
+		}
+
+		var what = "The seed data of " + seed.source;
+		seed.columns.forEach(function (col, idx) {
+			var name = seed.header[idx];
+			if (!col) {
+				self.error(entity, what + " names " + name + ", which is not a column of the table");
+			} else if (seed.columns.indexOf(col) != idx) {
+				self.error(entity, what + " names the column " + name + " more than once");
+			} else if (self.generator.generatedExpression(col)) {
+				self.warning(col, what + " gives the generated column " + name + ", its values are left out");
+			}
+		});
+		self.generator.tableColumns(entity).forEach(function (col) {
+			var _type = self.generator.dataType(col, options);
+			var required = (col.primaryKey || !col.nullable) && !codegen.tag("default", col) &&
+				_type.indexOf("serial") == -1 && !self.generator.identity(col, options) && !self.generator.generatedExpression(col);
+			if (required && seed.columns.indexOf(col) == -1) {
+				self.error(col, what + " gives no value to the NOT NULL column " + self.generator.baseColumnName(col, options));
+			}
+		});
+
+		seed.rows.forEach(function (row, rowIdx) {
+			var where = what + ", row " + (rowIdx + 1);
+			if (row.length > seed.header.length) {
+				self.error(entity, where + " has " + row.length + " values for " + seed.header.length + " columns");
+			}
+			seed.columns.forEach(function (col, idx) {
+				var value = idx < row.length ? row[idx] : null;
+				if (!col || self.generator.generatedExpression(col)) {
+					return;
+				}
+				var name = seed.header[idx];
+				var enumType = self.generator.enumType(col, options);
+				if (value === null) {
+					if (col.primaryKey || !col.nullable || self.generator.identity(col, options)) {
+						self.error(col, where + " has no value for the NOT NULL column " + name);
+					}
+				} else if (enumType && enumType.values.indexOf(value) == -1) {
+					self.error(col, where + " has the value " + value + " for " + name + ", which is not one of " + enumType.values.join(", "));
+				} else if (!seedData.isValid(value, seedData.valueKind(self.generator.dataType(col, options)))) {
+					self.error(col, where + " has the value " + value + " for " + name + ", which is not a " + self.generator.dataType(col, options));
+				}
+			});
+		});
+	}
+
+	checkTable(table, entities, tableNames) {
+		var self = this;
+		var options = self.options;
+		var entity = table.entity;
+
+		self.checkRelationName(table, "table", tableNames);
+		if (!entity.columns.some(function (col) { return col.primaryKey; })) {
+			self.warning(entity, "The table has no primary key");
+		}
+
+		self.generator.getForeignKeys(entity, options).forEach(function (fk) {
+			if (entities.indexOf(fk.refEntity) == -1) {
+				return;
+			}
+			var invalid = self.generator.foreignKeyOptions(fk, entity).invalid;
+			if (invalid.length > 0) {
+				self.error(fk.columns[0], "The foreign key to " + elementPath(fk.refEntity) + " has invalid options: " + invalid.join(", "));
+			}
+		});
+
+		var columns = self.generator.tableColumns(entity);
+		var checkNames = {};
+		self.generator.getCheckConstraints(entity, options).forEach(function (ctr) {
+			if (!ctr.expression) {
+				self.error(ctr.owner, "The check constraint " + ctr.name + " has no expression");
+				return;
+			}
+			if (checkNames[ctr.name]) {
+				self.error(ctr.owner, "The check constraint " + ctr.name + " is also generated for " + elementPath(checkNames[ctr.name]));
+			} else {
+				checkNames[ctr.name] = ctr.owner;
+			}
+			self.checkExpressionColumns(ctr.owner, "The check constraint " + ctr.name, ctr.expression, columns);
+		});
+
+		self.checkIndexes(entity, columns);
+		self.checkTriggers(entity);
+		self.checkPartitions(table, tableNames);
+		if (options.tableInserts) {
+			self.checkSeedData(entity);
+		}
+
+		var columnNames = {};
+		entity.columns.forEach(function (col) {
+			var columnName = self.generator.baseColumnName(col, options);
+			var key = columnName && self.foldedName(columnName);
+			if (key && columnNames[key]) {
+				self.error(col, "The column " + columnName + " is also generated for " + elementPath(columnNames[key]));
+			} else {
+				columnNames[key] = col;
+			}
+			self.checkColumn(col, entities);
+			self.checkGeneration(col, columns);
+		});
+	}
+
+	/**
+	 * Check the roles declared by the project: their names and attributes, and the roles they are members of
+	 * @return {Object.<string, type.Tag>} the roles by name
+	 */
+	checkRoles() {
+		var self = this;
+		var options = self.options;
+		var roles = {};
+		self.generator.getRoles(self.project, options).forEach(function (role) {
+			var elem = role.owner;
+			var what = "The role " + role.name;
+			var name = self.generator.physicalName(role.name, options);
+			if (/^public$/i.test(name)) {
+				self.error(elem, "The role public stands for all the roles and cannot be declared");
+			} else if (self.checkIdentifier(elem, "role", name)) {
+				var key = self.foldedName(name);
+				if (roles[key]) {
+					self.error(elem, "The role " + name + " is also declared by " + elementPath(roles[key]));
+				}
+				roles[key] = elem;
+			}
+			if (role.definition.unknown) {
+				self.error(elem, what + " has unknown attributes: " + role.definition.unknown);
+			}
+		});
+		self.generator.getRoles(self.project, options).forEach(function (role) {
+			var name = self.generator.physicalName(role.name, options);
+			role.definition.inRoles.forEach(function (member) {
+				if (self.generator.physicalName(member, options) === name) {
+					self.error(role.owner, "The role " + role.name + " is a member of itself");
+				} else {
+					self.checkRoleName(role.owner, "The role " + role.name, member, roles);
+				}
+			});
+		});
+		return roles;
+	}
+
+	/**
+	 * Check that a role is declared by the project, the roles existing apart from the model being warned about
+	 * @param {type.Model} elem
+	 * @param {string} what the role user description
+	 * @param {string} name
+	 * @param {Object.<string, type.Tag>} roles
+	 */
+	checkRoleName(elem, what, name, roles) {
+		if (!name) {
+			this.error(elem, what + " names no role");
+		} else if (!/^public$/i.test(name) && !roles[this.generator.physicalName(name, this.options)]) {
+			this.warning(elem, what + ": the role " + name + " is not declared by a role:<name> tag of the project");
+		}
+	}
+
+	/**
+	 * Check the privileges granted or revoked by a data model or an Entity: the objects they
+	 * are on and the privileges these objects have
+	 * @param {type.ERDDataModel|type.ERDEntity} elem
+	 * @param {Object.<string, type.Tag>} roles
+	 */
+	checkPrivileges(elem, roles) {
+		var self = this;
+		var options = self.options;
+		var entity = elem instanceof type.ERDEntity;
+		self.generator.getPrivileges(elem, options).forEach(function (privilege) {
+			var tag = privilege.owner;
+			var what = "The privileges " + (privilege.revoke ? "revoked from " : "granted to ") + (privilege.role || "no role");
+			self.checkRoleName(tag, what, privilege.role, roles);
+			if (privilege.grants.length == 0) {
+				self.error(tag, what + " are empty");
+			}
+			privilege.grants.forEach(function (grant) {
+				var object = entity ? "table" : OBJECT_KINDS[grant.object || "schema"];
+				if (grant.unknown) {
+					self.error(tag, what + " have unknown clauses: " + grant.unknown);
+				}
+				if (entity && grant.object) {
+					self.error(tag, what + " are on the " + (grant.object + " " + grant.name).trim() + ", the privileges of an entity being on its table");
+					return;
+				}
+				var named = ["sequence", "function", "procedure"].indexOf(grant.object) > -1;
+				if (named && !grant.name) {
+					self.error(tag, what + " are on a " + grant.object + " with no name");
+				} else if (!named && grant.name) {
+					self.error(tag, what + " are on the " + grant.object + " " + grant.name + ", expected " + grant.object + " alone");
+				} else if (named && self.generator.privilegeObjects(grant, elem, options).length == 0) {
+					self.error(tag, what + " are on the " + grant.object + " " + grant.name + ", which is not declared by a " + grant.object + ":<name> tag of the data model");
+				}
+				if (grant.privileges.length == 0) {
+					self.error(tag, what + " name no privilege");
+				}
+				grant.privileges.forEach(function (p) {
+					if (p.privilege !== "all" && PRIVILEGES[object].indexOf(p.privilege) == -1) {
+						self.error(tag, what + " have the privilege " + p.privilege + ", expected " + PRIVILEGES[object].concat(["all"]).join(", ") + " on a " + object);
+					}
+					if (p.columns.length == 0) {
+						return;
+					}
+					if (!entity || COLUMN_PRIVILEGES.indexOf(p.privilege) == -1) {
+						self.error(tag, what + " have the privilege " + p.privilege + " on columns, expected select, insert, update or references on the columns of an entity");
+						return;
+					}
+					p.columns.forEach(function (column) {
+						if (!self.generator.findColumn(elem, column, options)) {
+							self.error(tag, what + " are on " + column + ", which is not a column of the table");
+						}
+					});
+				});
+			});
+		});
+	}
+
+	/**
+	 * Check the row-level security of an Entity: the tables only have it, and their policies
+	 * have conditions matching their command
+	 * @param {type.ERDEntity} entity
+	 * @param {Object.<string, type.Tag>} roles
+	 */
+	checkRowSecurity(entity, roles) {
+		var self = this;
+		var options = self.options;
+		var policies = self.generator.getPolicies(entity, options);
+		var rowSecurity = codegen.stringTag("row_security", entity).trim().toLowerCase();
+		if (self.generator.viewDefinition(entity)) {
+			if (rowSecurity || policies.length > 0) {
+				self.error(entity, "The view has row-level security or policies, which apply to tables only");
+			}
+			return;
+		}
+		if (rowSecurity && ["enable", "force"].indexOf(rowSecurity) == -1) {
+			self.error(entity, "The row_security tag value " + rowSecurity + " is neither enable nor force");
+		}
+		var names = {};
+		policies.forEach(function (policy) {
+			var elem = policy.owner;
+			var what = "The policy " + policy.name;
+			var definition = policy.definition;
+			var name = self.generator.physicalName(policy.name, options);
+			if (self.checkIdentifier(elem, "policy", name)) {
+				var key = self.foldedName(name);
+				if (names[key]) {
+					self.error(elem, "The policy " + name + " is also generated for " + elementPath(names[key]));
+				}
+				names[key] = elem;
+			}
+			if (definition.unknown) {
+				self.error(elem, what + " has unknown clauses: " + definition.unknown);
+			}
+			if (!definition.kind) {
+				self.error(elem, what + " is neither permissive nor restrictive");
+			}
+			if (!definition.command) {
+				self.error(elem, what + " applies to no command, expected for all, select, insert, update or delete");
+			}
+			if (!definition.using && !definition.check) {
+				self.error(elem, what + " has neither a using nor a with check condition");
+			} else if (definition.check && ["select", "delete"].indexOf(definition.command) > -1) {
+				self.error(elem, what + " is for " + definition.command + " and has a with check condition, which applies to the added or updated rows only");
+			} else if (definition.using && definition.command === "insert") {
+				self.error(elem, what + " is for insert and has a using condition, which applies to the existing rows only");
+			}
+			definition.roles.forEach(function (role) {
+				if (!/^(current_user|current_role|session_user)$/i.test(role)) {
+					self.checkRoleName(elem, what, role, roles);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Validate the whole project
+	 * @return {Array.<{severity: string, element: type.Model, path: string, message: string}>}
+	 */
+	validate() {
+		var self = this;
+		var tag = codegen.tag("database", self.project);
+		var dbName = (tag && tag.value) || self.project.name;
+		self.checkIdentifier(self.project, "database", self.generator.physicalSchemaName(dbName, self.options));
+
+		self.generator.typeMapping(self.options).errors.forEach(function (error) {
+			self.error(self.project, error);
+		});
+
+		var signatures = {},
+			tableNames = {};
+		self.project.ownedElements.forEach(function (model) {
+			if (model instanceof type.ERDDataModel) {
+				self.generator.getEnums(model, self.options).forEach(function (enumType) {
+					self.checkEnum(enumType.owner, enumType);
+				});
+				self.checkSequences(model, tableNames);
+				self.checkLegacyRoutines(model);
+				self.checkRoutines(model, signatures);
+			}
+		});
+
+		var modelEntities = self.collectTables();
+		var tables = modelEntities;
+		var views = tables.filter(function (table) { return !!self.generator.viewDefinition(table.entity); });
+		tables = tables.filter(function (table) { return views.indexOf(table) == -1; });
+		// the relationship warnings are reported by the generation, previews included
+		tables = tables.concat(self.generator.resolveRelationships(tables, self.options).tables);
+		var entities = tables.map(function (table) { return table.entity; });
+		tables.forEach(function (table) {
+			self.checkTable(table, entities, tableNames);
+		});
+		views.forEach(function (view) {
+			self.checkView(view, tableNames);
+		});
+
+		var roles = self.checkRoles();
+		self.project.ownedElements.forEach(function (model) {
+			if (model instanceof type.ERDDataModel) {
+				self.checkPrivileges(model, roles);
+			}
+		});
+		modelEntities.forEach(function (table) {
+			self.checkPrivileges(table.entity, roles);
+			self.checkRowSecurity(table.entity, roles);
+		});
+		return self.issues;
+	}
+}
+
+/**
+ * Validate a project before generation
+ * @param {type.Project} project
+ * @param {Object} options
+ * @return {Array.<{severity: string, element: type.Model, path: string, message: string}>} issues found
+ */
+function validate(project, options) {
+	var validator = new ModelValidator(project, options);
+	return validator.validate();
+}
+
+/**
+ * Return the issues as text, one per line
+ * @param {Array.<Object>} issues
+ * @return {string}
+ */
+function formatIssues(issues) {
+	return issues
+		.map(function (issue) {
+			return issue.severity + ": " + (issue.path ? issue.path + ": " : "") + issue.message;
+		})
+		.join("\n");
+}
+
+exports.validate = validate;
+exports.formatIssues = formatIssues;